@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface to sync Contentful content types to Algolia
+ */
+const path = require('path');
+const Sync = require('../index');
+
+const USAGE = `Usage: contentful-to-algolia sync <types...> --index <name> [options]
+       contentful-to-algolia reindex <types...> --index <name> [options]
+       contentful-to-algolia settings --index <name> [options]
+       contentful-to-algolia migrate-ids --index <name> [options]
+       contentful-to-algolia promote --index <name> --from <prefix> [options]
+       contentful-to-algolia prune [types...] --index <name> [options]
+       contentful-to-algolia export <types...> --dir <path> [options]
+       contentful-to-algolia import [types...] --index <name> --dir <path> [options]
+
+Commands:
+  sync                 Sync content types from Contentful to the index
+  reindex              Replace the index without downtime via a temporary index
+  settings             Apply the configured settings, synonyms and rules
+  migrate-ids          Rewrite the index to the configured objectIds
+  promote              Replace the index with the one of another prefix,
+                       including its settings, synonyms and rules
+  prune                Report objects of content types and sources which are
+                       not synced anymore, delete them with --delete
+  export               Write the entries of content types to NDJSON files
+  import               Sync an exported snapshot to the index, all of its
+                       content types if none are given
+
+Options:
+  -c, --config <file>  Config file, shaped like config.sample.js (default: config.js)
+  -i, --index <name>   Index to sync to
+  -e, --entry <id>     Only sync a single entry
+  -p, --prefix <pre>   Override the index prefix of the config
+      --from <pre>     Prefix of the index to promote, e.g. staging_
+  -d, --dir <path>     Directory of the snapshot to export or import
+      --delete         Delete the orphans found by prune
+      --max-percent <n>
+                       Abort prune if more than n% of an index would be
+                       deleted (default: 10)
+      --environment    Reindex into the prefix of the Contentful environment
+                       the configured one points to, see environmentPrefixes
+      --incremental    Only sync changes since the last run
+      --dry-run        Show what would change without writing to the index
+      --force          Apply syncs which deletionGuard refuses
+      --log-format <fmt>
+                       Log as text or json (default: text)
+  -f, --format <fmt>   Output of --dry-run, table or json (default: table)
+  -h, --help           Show this help`;
+
+const FLAGS = {
+  '--incremental': 'incremental',
+  '--environment': 'environment',
+  '--dry-run': 'dryRun',
+  '--delete': 'remove',
+  '--force': 'force',
+  '--help': 'help',
+  '-h': 'help'
+};
+
+const VALUES = {
+  '--config': 'config',
+  '-c': 'config',
+  '--index': 'index',
+  '-i': 'index',
+  '--entry': 'entry',
+  '-e': 'entry',
+  '--prefix': 'prefix',
+  '-p': 'prefix',
+  '--from': 'from',
+  '--dir': 'dir',
+  '--max-percent': 'maxPercent',
+  '-d': 'dir',
+  '--log-format': 'logFormat',
+  '--format': 'format',
+  '-f': 'format'
+};
+
+/**
+ * Create an error caused by wrong usage of the command
+ * @param  {String} message Error message
+ * @return {Error}
+ */
+const usageError = (message) => {
+  const error = new Error(message);
+
+  error.isUsageError = true;
+
+  return error;
+};
+
+/**
+ * Parse command-line arguments
+ * @param  {Array}  args Arguments without node and script path
+ * @return {Object}      Parsed options, positional arguments in `_`
+ */
+const parseArgs = (args) => {
+  let options = {
+    _: [],
+    config: 'config.js',
+    format: 'table'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let value;
+
+    if (arg.indexOf('--') === 0 && arg.indexOf('=') !== -1) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+
+    if (FLAGS[arg]) {
+      options[FLAGS[arg]] = true;
+    } else if (VALUES[arg]) {
+      if (value === undefined) {
+        value = args[++i];
+      }
+
+      if (value === undefined) {
+        throw usageError(`Missing value for ${arg}`);
+      }
+
+      options[VALUES[arg]] = value;
+    } else if (arg.indexOf('-') === 0) {
+      throw usageError(`Unknown option ${arg}`);
+    } else {
+      options._.push(arg);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Load the config file and apply command-line overrides
+ * @param  {Object} options Parsed options
+ * @return {Object}         Configuration
+ */
+const loadConfig = (options) => {
+  const config = require(path.resolve(options.config));
+  const key = config.target ? 'target' : 'algolia';
+
+  config[key] = Object.assign({}, config[key]);
+
+  if (options.prefix !== undefined) {
+    config[key].indexPrefix = options.prefix;
+  }
+
+  if (options.dryRun) {
+    config[key].dryRun = true;
+  }
+
+  if (options.force) {
+    config[key].force = true;
+  }
+
+  if (options.logFormat) {
+    config.logger = new Sync.ConsoleLogger({
+      format: options.logFormat
+    });
+  }
+
+  return config;
+};
+
+/**
+ * Print the report of a dry run
+ * @param  {DiffReport} report Report to print
+ * @param  {String}     format Either `table` or `json`
+ * @return {void}
+ */
+const printReport = (report, format) => {
+  if (format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(report.toTable());
+  }
+};
+
+/**
+ * Print the status of each content type of a failed sync
+ * @param  {Array} results Result of each content type
+ * @return {void}
+ */
+const printResults = (results) => {
+  results.forEach((result) => {
+    let label = result.contentType || 'entry';
+
+    if (result.source) {
+      label += ` from ${result.source}`;
+    }
+
+    if (result.indexName) {
+      label += ` (${result.indexName})`;
+    }
+
+    if (result.status === 'rejected') {
+      console.error(`  ${label}: failed, ${result.error.message}`);
+    } else {
+      console.error(`  ${label}: ok`);
+    }
+  });
+};
+
+/**
+ * Run the command
+ * @param  {Array}   args Arguments without node and script path
+ * @return {Promise}
+ */
+const run = (args) => {
+  const options = parseArgs(args);
+  const command = options._[0];
+  const types = options._.slice(1);
+
+  if (options.help) {
+    console.log(USAGE);
+
+    return Promise.resolve();
+  }
+
+  if (['sync', 'reindex', 'settings', 'migrate-ids', 'promote', 'prune', 'export', 'import'].indexOf(command) === -1) {
+    throw usageError(command ? `Unknown command ${command}` : 'Missing command');
+  }
+
+  if (options.logFormat && ['text', 'json'].indexOf(options.logFormat) === -1) {
+    throw usageError(`Unknown log format ${options.logFormat}`);
+  }
+
+  if (['export', 'import'].indexOf(command) !== -1 && !options.dir) {
+    throw usageError('Missing --dir');
+  }
+
+  if (command === 'export') {
+    if (types.length === 0) {
+      throw usageError('Missing content types to export');
+    }
+
+    return new Sync(loadConfig(options)).exportSnapshot(types, options.dir)
+      .then((files) => {
+        files.forEach((file) => console.log(`  ${file.path}: ${file.count} records`));
+      });
+  }
+
+  if (!options.index) {
+    throw usageError('Missing --index');
+  }
+
+  if (['table', 'json'].indexOf(options.format) === -1) {
+    throw usageError(`Unknown format ${options.format}`);
+  }
+
+  if (command === 'settings') {
+    return new Sync(loadConfig(options)).syncSettings(options.index);
+  }
+
+  if (command === 'migrate-ids') {
+    return new Sync(loadConfig(options)).migrateObjectIds(options.index)
+      .then((result) => {
+        if (options.dryRun) {
+          printReport(result, options.format);
+        }
+      });
+  }
+
+  if (command === 'promote') {
+    if (options.from === undefined) {
+      throw usageError('Missing --from');
+    }
+
+    return new Sync(loadConfig(options)).promote(options.index, options.from)
+      .then((result) => {
+        if (options.dryRun) {
+          printReport(result, options.format);
+        }
+      });
+  }
+
+  if (command === 'prune') {
+    const maxPercent = options.maxPercent === undefined ? undefined : Number(options.maxPercent);
+
+    if (maxPercent !== undefined && !(maxPercent >= 0 && maxPercent <= 100)) {
+      throw usageError(`Invalid --max-percent ${options.maxPercent}`);
+    }
+
+    return new Sync(loadConfig(options)).prune(types, options.index, {
+      remove: !!options.remove,
+      maxPercent
+    })
+      .then((report) => printReport(report, options.format));
+  }
+
+  if (command === 'import') {
+    return new Sync(loadConfig(options)).importSnapshot(options.dir, options.index, types.length > 0 ? types : undefined)
+      .then((result) => {
+        if (options.dryRun) {
+          printReport(result, options.format);
+        }
+      });
+  }
+
+  if (types.length === 0) {
+    throw usageError('Missing content types to sync');
+  }
+
+  if (options.entry && options.incremental) {
+    throw usageError('--entry and --incremental cannot be combined');
+  }
+
+  if (command === 'reindex' && (options.entry || options.incremental)) {
+    throw usageError('reindex cannot be combined with --entry or --incremental');
+  }
+
+  if (options.environment && (command !== 'reindex' || options.prefix !== undefined)) {
+    throw usageError('--environment only works with reindex and without --prefix');
+  }
+
+  const sync = new Sync(loadConfig(options));
+  let promise;
+
+  if (command === 'reindex' && options.environment) {
+    promise = sync.reindexEnvironment(types, options.index);
+  } else if (command === 'reindex') {
+    promise = sync.reindex(types, options.index);
+  } else if (options.incremental) {
+    promise = sync.syncIncremental(types, options.index);
+  } else {
+    promise = sync.sync(types, options.index, null, options.entry || false);
+  }
+
+  return promise.then((result) => {
+    if (options.dryRun) {
+      printReport(result, options.format);
+    }
+  });
+};
+
+Promise.resolve()
+  .then(() => run(process.argv.slice(2)))
+  .catch((error) => {
+    if (error.isUsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else if (error.results) {
+      console.error(`${error.name}: sync failed for ${error.errors.length} of ${error.results.length} content types`);
+      printResults(error.results);
+    } else {
+      console.error(error.stack || error);
+    }
+
+    process.exitCode = 1;
+  });
@@ -7,14 +7,85 @@ module.exports = {
   algolia: {
     applicationId: process.env.ALGOLIA_APPID,
     apiKey: process.env.ALGOLIA_APIKEY,
-    indexPrefix: 'dev_'  // for Development mode
+    indexPrefix: 'dev_', // for Development mode
+    indexPerLocale: false, // write each locale to `<index>_<localeSuffix>`
+    applySettingsOnSync: false, // apply `indexSettings` before each sync
+    batchSize: 1000, // objects per write request
+    batchConcurrency: 1, // write requests at the same time
+    waitForTasks: false, // wait until Algolia processed each write
+    // previewIndexPrefix: 'preview_', // sync drafts to `preview_<index>` as well
+    objectIds: false, // 'entry' for `<entryId>_<locale>`, 'hash' for a sha256
+    deletionGuard: {
+      // maxDeletions: '25%', // refuse syncs deleting more objects of a content type
+      // minRecords: 1 // refuse syncs of content types with fewer records
+    },
+    deletionGuardByContentType: {
+      // post: { minRecords: 500 }
+    },
+    indexSettings: {
+      // articles: { settings: {}, synonyms: [], rules: [] }
+    }
   },
 
+  // Index into another search backend, merged over `algolia`, see "Search
+  // backends" in the README
+  // target: { adapter: 'elasticsearch', url: 'http://localhost:9200' },
+  // target: { adapter: 'file', directory: './indices', format: 'ndjson' },
+
+  // or an array of sources with `name`, `space`, `environment`, `accessToken`
+  // and optionally `contentTypes`, see "Multiple spaces" in the README
   contentful: {
     accessToken: process.env.CONTENTFUL_ACCESSTOKEN,
     space: process.env.CONTENTFUL_SPACE,
     host: 'preview.contentful.com', // for Drafts
-    environment: 'master' // the default env on Contentful
+    // previewAccessToken: process.env.CONTENTFUL_PREVIEW_ACCESSTOKEN, // with `previewIndexPrefix`
+    environment: 'master', // the default env on Contentful
+    managementToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN, // to resolve environment aliases
+    include: 2, // levels of linked entries to resolve, 0 to 10
+    includeByContentType: {
+      // article: 3
+    },
+    compactAssets: false, // turn linked assets into `{url, title, width, height}`
+    richText: false, // convert Rich Text to text, e.g. { html: true, maxTextLength: 5000 }
+    assetImageParams: {
+      // w: 400, h: 300, fit: 'thumb'
+    }
+  },
+
+  // Retry failing requests to Contentful and Algolia
+  retry: {
+    attempts: 5, // including the first request
+    minDelay: 500, // ms before the first retry
+    maxDelay: 30000, // ms
+    factor: 2, // growth of the delay per attempt
+    jitter: true // randomize delays
+  },
+
+  // Conditions entries have to match to be indexed, by content type
+  filters: {
+    // article: { hideFromSearch: { not: true }, publishDate: { before: 'now' } }
+  },
+
+  // Receives all messages instead of the console, any object with `info`,
+  // `warn` and `error`, e.g. new ConsoleLogger({ format: 'json' })
+  // logger: null,
+
+  // Sync entries linking to a changed entry
+  reverseLinks: {
+    depth: 0, // levels of links to follow back, 0 is off
+    indexByContentType: {
+      // Only listed content types are synced, true is the index of the
+      // changed entry
+      // article: 'articles'
+    }
+  },
+
+  // File to store the token of incremental syncs in
+  syncTokenFile: '.contentful-sync-tokens.json',
+
+  environmentPrefixes: {
+    // 'release-2026-10': 'release_',
+    // '*': '{environment}_'
   },
 
   locales: [
@@ -2,5 +2,28 @@
  * Index file for library
  */
 const Sync = require('./lib/Sync');
+const Adapter = require('./lib/Adapter');
+const Algolia = require('./lib/Algolia');
+const ElasticsearchAdapter = require('./lib/ElasticsearchAdapter');
+const FileAdapter = require('./lib/FileAdapter');
+const DiffReport = require('./lib/DiffReport');
+const SyncSummary = require('./lib/SyncSummary');
+const ConsoleLogger = require('./lib/ConsoleLogger');
+const Webhook = require('./lib/Webhook');
+const Errors = require('./lib/Errors');
 
 module.exports = Sync;
+module.exports.Webhook = Webhook;
+module.exports.DiffReport = DiffReport;
+module.exports.SyncSummary = SyncSummary;
+module.exports.ConsoleLogger = ConsoleLogger;
+module.exports.Adapter = Adapter;
+module.exports.Algolia = Algolia;
+module.exports.ElasticsearchAdapter = ElasticsearchAdapter;
+module.exports.FileAdapter = FileAdapter;
+module.exports.SyncError = Errors.SyncError;
+module.exports.ContentfulFetchError = Errors.ContentfulFetchError;
+module.exports.TargetWriteError = Errors.TargetWriteError;
+module.exports.AlgoliaWriteError = Errors.AlgoliaWriteError;
+module.exports.DeletionGuardError = Errors.DeletionGuardError;
+module.exports.ConfigError = Errors.ConfigError;
@@ -0,0 +1,969 @@
+/**
+ * Base class of search backends, which diffs localized entries with the
+ * objects of an index
+ */
+const crypto = require('crypto');
+const _ = require('lodash');
+const ConsoleLogger = require('./ConsoleLogger');
+const DiffReport = require('./DiffReport');
+const RetryPolicy = require('./RetryPolicy');
+const { TargetWriteError, DeletionGuardError, ConfigError } = require('./Errors');
+const OBJECT_ID_MODES = ['entry', 'hash'];
+const BATCH_OPTIONS = ['batchSize', 'batchConcurrency'];
+const PRUNE_MAX_PERCENT = 10;
+
+/**
+ * Check if a limit is a percentage like `25%`
+ * @param  {Mixed}   value Limit
+ * @return {Boolean}
+ */
+const isPercent = (value) => _.isString(value) && /^\d+(\.\d+)?%$/.test(value);
+
+/**
+ * Validate the deletion guard of the config or of a content type
+ * @param  {Object} guard Guard with `maxDeletions` and `minRecords`
+ * @param  {String} name  Name of the guard in errors
+ * @return {void}
+ */
+const validateGuard = (guard, name) => {
+  if (!_.isPlainObject(guard)) {
+    throw new ConfigError(`Invalid ${name}: expected an object`);
+  }
+
+  if (guard.maxDeletions !== undefined && !isPercent(guard.maxDeletions) &&
+    !(_.isNumber(guard.maxDeletions) && guard.maxDeletions >= 0)) {
+    throw new ConfigError(`Invalid ${name}: \`maxDeletions\` must be a number or a percentage like "25%"`);
+  }
+
+  if (guard.minRecords !== undefined && !(_.isNumber(guard.minRecords) && guard.minRecords >= 0)) {
+    throw new ConfigError(`Invalid ${name}: \`minRecords\` must be a number`);
+  }
+};
+
+/**
+ * Adapter Class
+ *
+ * Computes which objects of an index have to be created, updated and deleted
+ * and writes them through a small interface, which each backend implements:
+ *
+ * - `browse()` resolves with all objects of the index, each with `objectID`
+ * - `upsert(objects)` creates or replaces objects and resolves with their
+ *   object ids. Objects without `objectID` get a new one.
+ * - `delete(objectIDs)` removes objects
+ * - `getSettings()` resolves with the settings of the index, null if there
+ *   are none
+ * - `setSettings(settings)` changes the given settings
+ *
+ * Backends may override other methods like `getObjectsByIds` or `reindex` if
+ * they can do better.
+ *
+ * Progress is emitted on the given events emitter: `diff` with the computed
+ * changes by content type, source and locale and `batch` for each write.
+ */
+class Adapter {
+
+  /**
+   * Constructor
+   * @param  {Object} config    Configuration
+   * @param  {String} index     Name of index
+   * @param  {String} baseIndex Name to look up index settings with, if there
+   *                            are none for `index`
+   * @param  {RetryPolicy} retry Policy to retry failing requests with
+   * @param  {EventEmitter} events Emitter of progress events, none if not
+   *                            given
+   * @return {void}
+   */
+  constructor (config, index, baseIndex, retry = new RetryPolicy(), events = null) {
+    if (config.objectIds && !_.includes(OBJECT_ID_MODES, config.objectIds)) {
+      throw new ConfigError(`Invalid objectIds "${config.objectIds}", expected one of ${OBJECT_ID_MODES.join(', ')}`);
+    }
+
+    BATCH_OPTIONS.forEach((key) => {
+      if (config[key] !== undefined && !(_.isInteger(config[key]) && config[key] > 0)) {
+        throw new ConfigError(`Invalid ${key}: expected an integer of at least 1`);
+      }
+    });
+
+    validateGuard(config.deletionGuard || {}, 'deletionGuard');
+    _.each(config.deletionGuardByContentType, (guard, contentType) => {
+      validateGuard(guard, `deletionGuardByContentType of "${contentType}"`);
+    });
+
+    let indexName = (config.indexPrefix || '') + index;
+    let indexSettings = config.indexSettings || {};
+
+    this.config = config;
+    this.cachedResults = null;
+    this.indexName = indexName;
+    this.dryRun = !!config.dryRun;
+    this.force = !!config.force;
+    this.objectIds = config.objectIds || false;
+    this.indexConfig = indexSettings[index] || indexSettings[baseIndex] || null;
+    this.retry = retry;
+    this.events = events;
+    this.logger = config.logger || new ConsoleLogger();
+  }
+
+  /**
+   * Emit a progress event, which holds the index name
+   * @param  {String} event Name of the event
+   * @param  {Object} data  Details of the event
+   * @return {void}
+   */
+  emit (event, data) {
+    if (this.events) {
+      this.events.emit(event, Object.assign({
+        indexName: this.indexName
+      }, data));
+    }
+  }
+
+  /**
+   * Get the names of all indices written to
+   * @return {Array} Index names
+   */
+  getIndexNames () {
+    return [this.indexName];
+  }
+
+  /**
+   * Get all objects of the index
+   * @return {Promise} Resolves with all objects
+   */
+  browse () {
+    return Promise.reject(this.getMissingOperationError('browse'));
+  }
+
+  /**
+   * Create or replace objects
+   * @param  {Array}   objects Objects to write, with or without `objectID`
+   * @return {Promise}         Resolves with the written object ids
+   */
+  upsert () {
+    return Promise.reject(this.getMissingOperationError('upsert'));
+  }
+
+  /**
+   * Delete objects
+   * @param  {Array}   objectIDs Ids of the objects to delete
+   * @return {Promise}
+   */
+  delete () {
+    return Promise.reject(this.getMissingOperationError('delete'));
+  }
+
+  /**
+   * Get the settings of the index
+   * @return {Promise} Resolves with the settings, null if there are none
+   */
+  getSettings () {
+    return Promise.reject(this.getMissingOperationError('getSettings'));
+  }
+
+  /**
+   * Change settings of the index
+   * @param  {Object}  settings Settings to change
+   * @return {Promise}
+   */
+  setSettings () {
+    return Promise.reject(this.getMissingOperationError('setSettings'));
+  }
+
+  /**
+   * Get the error for an operation a backend does not implement
+   * @param  {String}      operation Name of the operation
+   * @return {ConfigError}
+   */
+  getMissingOperationError (operation) {
+    return new ConfigError(`${this.constructor.name} does not implement \`${operation}\``);
+  }
+
+  /**
+   * Index any data for a specific type. Update and create.
+   * @param  {Object}  data        All elements that should be indexed
+   * @param  {String}  contentType Current content type that is being indexed
+   * @param  {boolean} isSingle    Is it a single entry update, then only
+   *                              delete stale locales of the given entries
+   * @param  {String}  source      Name of the Contentful source, only its
+   *                               objects are compared and deleted
+   * @return {Promise}
+   */
+  indexData (data, contentType, isSingle = false, source = undefined) {
+    if (isSingle) {
+      return this.indexChanges(data, [], source);
+    }
+
+    return this.getElementsPromise(data, contentType, source)
+      .then((entries) => this.assertDeletionGuard(entries, contentType, data.length))
+      .then((entries) => this.applyChanges(entries));
+  }
+
+  /**
+   * Refuse the diff of a full sync, if it deletes more objects than
+   * `deletionGuard` allows, e.g. because Contentful returned no entries for a
+   * wrong token or environment. Guards of `deletionGuardByContentType`
+   * override it. In dry-run mode the error is only logged. With `force` the
+   * guards are skipped.
+   * @param  {Object} entries     Diff as returned by `getDiff`
+   * @param  {String} contentType Content type of the diff
+   * @param  {Number} count       Number of records to index
+   * @return {Object}             The diff, if it is allowed
+   */
+  assertDeletionGuard (entries, contentType, count) {
+    const guard = Object.assign({}, this.config.deletionGuard, _.get(this.config.deletionGuardByContentType, contentType));
+    const deletions = entries.deleted.length;
+    const total = _.size(entries.hits);
+    let reason = null;
+
+    if (this.force || deletions === 0) {
+      return entries;
+    }
+
+    if (guard.minRecords !== undefined && count < guard.minRecords) {
+      reason = `only ${count} records to index, at least ${guard.minRecords} expected`;
+    } else if (guard.maxDeletions !== undefined && deletions > this.getDeletionLimit(guard.maxDeletions, total)) {
+      reason = `${deletions} of ${total} objects would be deleted, at most ${guard.maxDeletions} allowed`;
+    }
+
+    if (!reason) {
+      return entries;
+    }
+
+    const error = new DeletionGuardError(`Refusing to sync ${contentType} to ${this.indexName}: ${reason}. ` +
+      'Set `force` or pass --force to apply it anyway', {
+      indexName: this.indexName,
+      contentType,
+      deletions,
+      total,
+      records: count
+    });
+
+    if (this.dryRun) {
+      this.logger.warn(error.message, {
+        indexName: this.indexName,
+        contentType
+      });
+
+      return entries;
+    }
+
+    throw error;
+  }
+
+  /**
+   * Check if deletions are guarded, which they are not with `force`
+   * @return {Boolean}
+   */
+  hasDeletionGuard () {
+    return !this.force &&
+      !(_.isEmpty(this.config.deletionGuard) && _.isEmpty(this.config.deletionGuardByContentType));
+  }
+
+  /**
+   * Refuse a reindex or promotion, if it deletes more objects of a content
+   * type than the deletion guards allow. The elements replacing the index are
+   * compared with its current objects per content type, like a full sync of
+   * each of them. Content types of the index without elements are deleted
+   * completely, so they are checked as well.
+   * @param  {Array}   data All elements of the index
+   * @return {Promise}      Rejects with a DeletionGuardError
+   */
+  assertReindexGuard (data) {
+    if (!this.hasDeletionGuard()) {
+      return Promise.resolve();
+    }
+
+    return this.getHits()
+      .then((hits) => {
+        const keys = _.keyBy(data, this.getEntryKey);
+
+        _.compact(_.uniq(_.map(hits, 'contentType'))).forEach((contentType) => {
+          const typeHits = _.filter(hits, {
+            contentType
+          });
+
+          this.assertDeletionGuard({
+            hits: typeHits,
+            deleted: _.filter(typeHits, (hit) => !keys[this.getEntryKey(hit)])
+          }, contentType, _.filter(data, {
+            contentType
+          }).length);
+        });
+      });
+  }
+
+  /**
+   * Get the number of objects which may be deleted
+   * @param  {Mixed}  maxDeletions Number or percentage like `25%`
+   * @param  {Number} total        Number of existing objects
+   * @return {Number}
+   */
+  getDeletionLimit (maxDeletions, total) {
+    if (isPercent(maxDeletions)) {
+      return Math.floor(total * parseFloat(maxDeletions) / 100);
+    }
+
+    return maxDeletions;
+  }
+
+  /**
+   * Get a key for an entry, chunks of a split entry get a key each. Entries
+   * of several Contentful sources are told apart by their source.
+   * @param  {Object} entry Entry to find key for
+   * @return {String}       Key of entry
+   */
+  getEntryKey (entry) {
+    let hash = crypto.createHash('sha256');
+
+    hash.update(entry.id);
+    hash.update(entry.locale);
+
+    if (entry.source !== undefined) {
+      hash.update(`source:${entry.source}`);
+    }
+
+    if (entry.chunk !== undefined) {
+      hash.update(`chunk:${entry.chunk}`);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Get the deterministic objectID of an entry, which is
+   * `[<source>_]<entryId>_<locale>[_<chunk>]` or the key of the entry,
+   * depending on the `objectIds` config
+   * @param  {Object} entry Entry to get the objectID for
+   * @return {String}       ObjectID, null if Algolia generates them
+   */
+  getObjectId (entry) {
+    if (!this.objectIds) {
+      return null;
+    }
+
+    if (this.objectIds === 'hash') {
+      return this.getEntryKey(entry);
+    }
+
+    return _.compact([
+      entry.source,
+      entry.id,
+      entry.locale,
+      entry.chunk !== undefined ? String(entry.chunk) : null
+    ]).join('_');
+  }
+
+  /**
+   * Set the deterministic objectID on copies of the given elements
+   * @param  {Array} data Elements to index
+   * @return {Array}      Elements with objectID, unchanged without
+   *                      `objectIds` config
+   */
+  withObjectIds (data) {
+    if (!this.objectIds) {
+      return data;
+    }
+
+    return data.map((entry) => {
+      return Object.assign({}, entry, {
+        objectID: this.getObjectId(entry)
+      });
+    });
+  }
+
+  /**
+   * Check if a hit is not needed anymore, because there is no element for it
+   * or because it does not have the deterministic objectID of its element
+   * @param  {Object}  hit  Existing object of the index
+   * @param  {Object}  keys Elements to index by their key
+   * @param  {String}  key  Key of the hit, if it is known already
+   * @return {Boolean}
+   */
+  isStale (hit, keys, key = this.getEntryKey(hit)) {
+    if (!keys[key]) {
+      return true;
+    }
+
+    return !!this.objectIds && hit.objectID !== this.getObjectId(hit);
+  }
+
+  /**
+   * For each element, that should be indexed, we need to know if it exists or not
+   * @param  {Object}  element     Element to index
+   * @param  {String}  contentType Current content type that is being indexed
+   * @param  {String}  source      Name of the Contentful source
+   * @return {Promise}             Resolver holds the data of element and if it
+   *                               exists or not
+   */
+  getElementsPromise (data, contentType, source) {
+    return this.getHits().then((hits) => {
+      return this.getDiff(data, hits, contentType, source);
+    });
+  }
+
+  /**
+   * Get all objects of the index. They are browsed once per instance.
+   * @return {Promise} Resolves with all objects
+   */
+  getHits () {
+    if (!this.cachedResults) {
+      this.cachedResults = this.retry.run(() => this.browse(), `Browsing ${this.indexName}`);
+    }
+
+    return this.cachedResults;
+  }
+
+  /**
+   * Compare elements that should be indexed with existing hits of the index.
+   * With deterministic objectIDs, hits with another objectID are replaced.
+   * @param  {Array}  data        Elements to index
+   * @param  {Array}  hits        Existing objects in the index
+   * @param  {String} contentType Current content type, hits of this type
+   *                              without a matching element are deleted
+   * @param  {String} source      Name of the Contentful source, hits of
+   *                              other sources are left untouched
+   * @return {Object}             Created, updated and deleted elements and
+   *                               the compared hits by object id
+   */
+  getDiff (data, hits, contentType, source) {
+    data = this.withObjectIds(data);
+
+    let entriesIndex = _.keyBy(data, this.getEntryKey);
+    let matched = {};
+
+    hits = this.filterHits(hits, contentType, source);
+
+    let results = {
+      created: [],
+      updated: [],
+      deleted: [],
+      skipped: [],
+      hits: _.keyBy(hits, 'objectID')
+    };
+
+    _.each(hits, (hit) => {
+      const key = this.getEntryKey(hit);
+
+      if (entriesIndex[key] && !this.isStale(hit, entriesIndex, key)) {
+        matched[key] = true;
+
+        if (entriesIndex[key].locale === hit.locale) {
+          entriesIndex[key].objectID = hit.objectID;
+        }
+
+        const compactEntry = _.omitBy(entriesIndex[key], (prop) => {
+          return _.isUndefined(prop);
+        });
+
+        if (!_.isEqual(compactEntry, hit)) {
+          results.updated.push(entriesIndex[key]);
+        } else {
+          results.skipped.push(entriesIndex[key]);
+        }
+
+      } else if (contentType || entriesIndex[key]) { // just in case
+        results.deleted.push(hit.objectID);
+      }
+    });
+
+    results.created = _.filter(data, (entry) => !matched[this.getEntryKey(entry)]);
+
+    return results;
+  }
+
+  /**
+   * Index changed elements and remove deleted ones without browsing the whole
+   * index. Existing objects are looked up by their id attribute. Locales of a
+   * changed element which are not part of `data` anymore are removed as well.
+   * @param  {Array}   data       Changed elements that should be indexed
+   * @param  {Array}   deletedIds Ids of elements that should be removed
+   * @param  {String}  source     Name of the Contentful source, objects of
+   *                              other sources are left untouched
+   * @return {Promise}
+   */
+  indexChanges (data, deletedIds = [], source = undefined) {
+    const ids = _.uniq(_.map(data, 'id').concat(deletedIds));
+    const keys = _.keyBy(data, this.getEntryKey);
+    const deleted = _.keyBy(deletedIds);
+
+    return this.getObjectsByIds(ids)
+      .then((hits) => {
+        hits = this.filterHits(hits, undefined, source);
+
+        const entries = this.getDiff(data, hits);
+
+        entries.deleted = _.filter(hits, (hit) => {
+          return _.has(deleted, hit.id) || this.isStale(hit, keys);
+        }).map((hit) => hit.objectID);
+
+        return this.applyChanges(entries);
+      });
+  }
+
+  /**
+   * Remove all locales of the given entries from the index
+   * @param  {Array}   ids         Ids of the entries
+   * @param  {String}  contentType Only remove objects of this content type
+   * @param  {String}  source      Only remove objects of this Contentful
+   *                               source
+   * @return {Promise}             Resolves with the deleted objects
+   */
+  removeEntries (ids, contentType, source) {
+    return this.getObjectsByIds(ids)
+      .then((hits) => {
+        hits = this.filterHits(hits, contentType, source);
+
+        return this.applyChanges({
+          created: [],
+          updated: [],
+          deleted: _.map(hits, 'objectID'),
+          hits: _.keyBy(hits, 'objectID')
+        });
+      });
+  }
+
+  /**
+   * Get the hits of a content type and Contentful source
+   * @param  {Array}  hits        Existing objects in the index
+   * @param  {String} contentType Content type id, all types if not given
+   * @param  {String} source      Name of the source, all sources if not given
+   * @return {Array}              Matching hits
+   */
+  filterHits (hits, contentType, source) {
+    const conditions = _.pickBy({
+      contentType,
+      source
+    });
+
+    return _.isEmpty(conditions) ? hits : _.filter(hits, conditions);
+  }
+
+  /**
+   * Write computed changes to the index. In dry-run mode nothing is written.
+   * @param  {Object}  entries Created, updated and deleted elements as
+   *                           returned by `getDiff`
+   * @return {Promise}         Resolves with the indexed object ids or with a
+   *                           DiffReport in dry-run mode
+   */
+  applyChanges (entries) {
+    const rows = this.getStats(entries);
+
+    this.emit('diff', Object.assign({
+      dryRun: this.dryRun,
+      rows
+    }, rows.reduce((totals, row) => _.mapValues(totals, (count, key) => count + row[key]), {
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      skipped: 0
+    })));
+
+    if (this.dryRun) {
+      return Promise.resolve(this.getReport(entries));
+    }
+
+    return this.indexObjects(entries.created, entries.updated, entries.deleted);
+  }
+
+  /**
+   * Count computed changes by content type, source and locale
+   * @param  {Object} entries Created, updated, deleted and skipped elements
+   *                          as returned by `getDiff`
+   * @return {Array}          Counts with `contentType`, `source` and `locale`
+   */
+  getStats (entries) {
+    const rows = {};
+    const count = (object, key) => {
+      const id = JSON.stringify([object.contentType, object.source, object.locale]);
+
+      if (!rows[id]) {
+        rows[id] = _.pickBy({
+          contentType: object.contentType,
+          source: object.source,
+          locale: object.locale
+        }, _.negate(_.isUndefined));
+        Object.assign(rows[id], {
+          created: 0,
+          updated: 0,
+          deleted: 0,
+          skipped: 0
+        });
+      }
+
+      rows[id][key]++;
+    };
+    const hits = entries.hits || {};
+
+    entries.created.forEach((entry) => count(entry, 'created'));
+    entries.updated.forEach((entry) => count(entry, 'updated'));
+    entries.deleted.forEach((objectID) => count(hits[objectID] || {}, 'deleted'));
+    (entries.skipped || []).forEach((entry) => count(entry, 'skipped'));
+
+    return _.values(rows);
+  }
+
+  /**
+   * Create a report of computed changes
+   * @param  {Object}     entries Created, updated and deleted elements as
+   *                              returned by `getDiff`
+   * @return {DiffReport}
+   */
+  getReport (entries) {
+    const report = new DiffReport(this.indexName);
+    const hits = entries.hits || {};
+
+    entries.created.forEach((entry) => report.addCreated(entry));
+    entries.updated.forEach((entry) => report.addUpdated(entry, hits[entry.objectID]));
+    entries.deleted.forEach((objectID) => {
+      report.addDeleted(hits[objectID] || {
+        objectID
+      });
+    });
+
+    return report;
+  }
+
+  /**
+   * Write computed changes. Objects are upserted before others are deleted,
+   * one after another.
+   * @param  {Array}    newObjects      Objects to create
+   * @param  {Array}    existingObjects Objects to update
+   * @param  {Array}    deletedObjects  Ids of objects to delete
+   * @return {Promise}                  Resolves with the written object ids
+   */
+  indexObjects (newObjects, existingObjects, deletedObjects) {
+    const objects = newObjects.concat(existingObjects);
+
+    return (objects.length > 0 ? this.write('upsert', objects) : Promise.resolve([]))
+      .then((objectIDs) => {
+        if (deletedObjects.length === 0) {
+          return objectIDs;
+        }
+
+        return this.write('delete', deletedObjects).then(() => objectIDs.concat(deletedObjects));
+      })
+      .catch((error) => {
+        if (error instanceof TargetWriteError) {
+          throw error;
+        }
+
+        throw new TargetWriteError(`Writing to ${this.indexName} failed: ${error.message}`, {
+          indexName: this.indexName,
+          cause: error
+        });
+      })
+      .then((objectIDs) => {
+        this.cachedResults = null;
+
+        return objectIDs;
+      });
+  }
+
+  /**
+   * Run a write operation and emit a `batch` event for it
+   * @param  {String}  operation `upsert` or `delete`
+   * @param  {Array}   objects   Objects or object ids
+   * @return {Promise}           Resolves like the operation
+   */
+  write (operation, objects) {
+    return this[operation](objects)
+      .then((result) => {
+        this.emit('batch', {
+          operation,
+          size: objects.length,
+          error: null
+        });
+
+        return result;
+      }, (error) => {
+        this.emit('batch', {
+          operation,
+          size: objects.length,
+          error
+        });
+
+        throw error;
+      });
+  }
+
+  /**
+   * Replace all objects of the index with the given elements. All elements
+   * are written before the remaining objects are deleted, so the index stays
+   * searchable. The deletion guards are checked first.
+   * @param  {Array}   data All elements of the index
+   * @return {Promise}      Resolves with the number of indexed objects or with
+   *                        a DiffReport in dry-run mode
+   */
+  reindex (data) {
+    return this.assertReindexGuard(data)
+      .then(() => {
+        if (this.dryRun) {
+          return this.getReindexReport(data);
+        }
+
+        return this.getReindexChanges(data)
+          .then((entries) => this.indexObjects(entries.created, entries.updated, entries.deleted))
+          .then(() => data.length);
+      });
+  }
+
+  /**
+   * Compare all elements of the index with its objects. Objects without an
+   * element are deleted.
+   * @param  {Array}   data All elements of the index
+   * @return {Promise}      Resolves with created, updated and deleted elements
+   */
+  getReindexChanges (data) {
+    return this.getElementsPromise(data)
+      .then((entries) => {
+        const keys = _.keyBy(data, this.getEntryKey);
+
+        entries.deleted = _.filter(entries.hits, (hit) => this.isStale(hit, keys))
+          .map((hit) => hit.objectID);
+
+        return entries;
+      });
+  }
+
+  /**
+   * Report how a reindex would change the index
+   * @param  {Array}   data All elements of the index
+   * @return {Promise}      Resolves with a DiffReport
+   */
+  getReindexReport (data) {
+    return this.getReindexChanges(data)
+      .then((entries) => this.getReport(entries));
+  }
+
+  /**
+   * Rewrite all objects of the index to their deterministic objectIDs. Each
+   * object is saved with its new objectID and the old one is deleted. Objects
+   * without `id` and `locale` are left as they are.
+   * @return {Promise} Resolves with the written object ids or with a
+   *                   DiffReport in dry-run mode
+   */
+  migrateObjectIds () {
+    if (!this.objectIds) {
+      return Promise.reject(new ConfigError('Set `objectIds` in the algolia config to migrate objectIDs'));
+    }
+
+    return this.getHits()
+      .then((hits) => {
+        const existing = _.keyBy(hits, 'objectID');
+        const outdated = _.filter(hits, (hit) => {
+          return hit.id && hit.locale && hit.objectID !== this.getObjectId(hit);
+        });
+        const created = _.uniqBy(outdated.map((hit) => {
+          return Object.assign({}, hit, {
+            objectID: this.getObjectId(hit)
+          });
+        }), 'objectID');
+
+        return this.applyChanges({
+          // Keep objects, which have been migrated already
+          created: _.filter(created, (object) => !existing[object.objectID]),
+          updated: [],
+          deleted: _.map(outdated, 'objectID'),
+          hits: existing
+        });
+      })
+      .then((result) => {
+        this.cachedResults = null;
+
+        return result;
+      });
+  }
+
+  /**
+   * Find objects which no sync updates or deletes anymore, e.g. of content
+   * types which are not synced anymore, and optionally delete them. Deleting
+   * is aborted if more than `maxPercent` of all objects are orphans.
+   * @param  {Function} isOrphan           Called with each object
+   * @param  {Object}   options            Options
+   * @param  {Boolean}  options.remove     Delete the orphans, otherwise they
+   *                                       are only reported
+   * @param  {Number}   options.maxPercent Share of all objects, which may be
+   *                                       deleted (default: 10)
+   * @return {Promise}                     Resolves with a DiffReport of the
+   *                                       orphans
+   */
+  prune (isOrphan, options = {}) {
+    const maxPercent = _.isNumber(options.maxPercent) ? options.maxPercent : PRUNE_MAX_PERCENT;
+
+    return this.getHits()
+      .then((hits) => {
+        const orphans = _.filter(hits, isOrphan);
+        const entries = {
+          created: [],
+          updated: [],
+          deleted: _.map(orphans, 'objectID'),
+          hits: _.keyBy(orphans, 'objectID')
+        };
+        const report = this.getReport(entries);
+
+        if (!options.remove || orphans.length === 0) {
+          return report;
+        }
+
+        if (orphans.length * 100 > hits.length * maxPercent) {
+          throw new DeletionGuardError(`Pruning ${this.indexName} aborted: ${orphans.length} of ${hits.length} objects ` +
+            `are orphans, more than ${maxPercent}%`, {
+            indexName: this.indexName,
+            orphans: orphans.length,
+            total: hits.length
+          });
+        }
+
+        return this.applyChanges(entries).then(() => report);
+      });
+  }
+
+  /**
+   * Replace another index with the objects of this index and apply the
+   * configured settings to it, e.g. to promote a staging index to production.
+   * An empty index is never promoted.
+   * @param  {Adapter} target Index to replace
+   * @return {Promise}        Resolves with the number of promoted objects or
+   *                          with a DiffReport of the target in dry-run mode
+   */
+  promoteTo (target) {
+    return this.getHits()
+      .then((hits) => {
+        const data = hits.map((hit) => _.omit(hit, 'objectID'));
+
+        if (this.dryRun) {
+          return target.assertReindexGuard(data)
+            .then(() => target.getReindexReport(data));
+        }
+
+        if (data.length === 0) {
+          throw new TargetWriteError(`Promoting ${this.indexName} to ${target.indexName} failed: ` +
+            `${this.indexName} is empty`, {
+            indexName: this.indexName
+          });
+        }
+
+        return target.reindex(data)
+          .then((count) => target.syncSettings().then(() => count));
+      });
+  }
+
+  /**
+   * Apply the configured settings of `indexSettings` to the index. Synonyms
+   * and rules are only supported by Algolia. In dry-run mode changes are only
+   * logged.
+   * @return {Promise} Resolves with the diff of the index
+   */
+  syncSettings () {
+    if (!this.indexConfig) {
+      return Promise.resolve([]);
+    }
+
+    if (this.indexConfig.synonyms || this.indexConfig.rules) {
+      this.logger.warn(`Synonyms and rules of ${this.indexName} are skipped, ` +
+        `${this.constructor.name} does not support them`, {
+        indexName: this.indexName
+      });
+    }
+
+    const settings = this.indexConfig.settings;
+
+    return this.retry.run(() => settings ? this.getSettings() : null, `Getting settings of ${this.indexName}`)
+      .then((current) => {
+        const diff = {
+          indexName: this.indexName,
+          settings: this.diffSettings(settings, current),
+          synonyms: null,
+          rules: null,
+          replicas: []
+        };
+
+        diff.hasChanges = !_.isEmpty(diff.settings);
+        this.logSettingsDiff(diff);
+
+        if (this.dryRun || !diff.hasChanges) {
+          return [diff];
+        }
+
+        return this.setSettings(_.mapValues(diff.settings, 'to')).then(() => [diff]);
+      });
+  }
+
+  /**
+   * Compare configured settings with the current ones
+   * @param  {Object} settings Configured settings
+   * @param  {Object} current  Settings of the index
+   * @return {Object}          Changed settings with `from` and `to`
+   */
+  diffSettings (settings, current) {
+    const changes = {};
+
+    _.each(settings, (value, key) => {
+      const currentValue = (current || {})[key];
+
+      if (!_.isEqual(value, currentValue)) {
+        changes[key] = {
+          from: currentValue,
+          to: value
+        };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Log the changes of settings, synonyms and rules
+   * @param  {Object} diff Diff as returned by `getSettingsDiff`
+   * @return {void}
+   */
+  logSettingsDiff (diff) {
+    if (!diff.hasChanges) {
+      this.logger.info(`Settings of ${diff.indexName} are up to date`, {
+        indexName: diff.indexName
+      });
+
+      return;
+    }
+
+    let lines = [`Settings of ${diff.indexName}${this.dryRun ? ' (dry run)' : ''}:`];
+
+    _.each(diff.settings, (change, key) => {
+      lines.push(`  ~ ${key}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+    });
+
+    ['synonyms', 'rules'].forEach((type) => {
+      const name = type.slice(0, -1);
+
+      if (!diff[type]) {
+        return;
+      }
+
+      diff[type].created.forEach((id) => lines.push(`  + ${name} ${id}`));
+      diff[type].updated.forEach((id) => lines.push(`  ~ ${name} ${id}`));
+      diff[type].deleted.forEach((id) => lines.push(`  - ${name} ${id}`));
+    });
+
+    this.logger.info(lines.join('\n'), {
+      indexName: diff.indexName
+    });
+  }
+
+  /**
+   * Get all objects of all locales for the given ids
+   * @param  {Array}   ids Ids of the objects
+   * @return {Promise}     Resolves with the found objects
+   */
+  getObjectsByIds (ids) {
+    const byId = _.keyBy(ids);
+
+    return this.getHits()
+      .then((hits) => _.filter(hits, (hit) => _.has(byId, hit.id)));
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = Adapter;
@@ -1,148 +1,213 @@
 /**
  * Configuration and indexing functions of Algolia API
  */
-const algoliasearch = require('algoliasearch');
 const crypto = require('crypto');
+const algoliasearch = require('algoliasearch');
 const _ = require('lodash');
+const Adapter = require('./Adapter');
+const BatchWriter = require('./BatchWriter');
+const RetryPolicy = require('./RetryPolicy');
+const { AlgoliaWriteError, ConfigError } = require('./Errors');
+const MAX_QUERIES_PER_REQUEST = 50;
+
+/**
+ * Check if a diff of synonyms or rules contains any changes
+ * @param  {Object}  objects Diff as returned by `getObjectsDiff`
+ * @return {Boolean}
+ */
+const hasObjectChanges = (objects) => {
+  return !!objects && objects.created.length + objects.updated.length + objects.deleted.length > 0;
+};
+
+/**
+ * Check if a list of searchable attributes or attributes for faceting contains
+ * an attribute, e.g. `id` in `['title,id']` or `['filterOnly(id)']`
+ * @param  {Array}   attributes Attributes of the index settings
+ * @param  {String}  name       Name of the attribute
+ * @return {Boolean}
+ */
+const hasAttribute = (attributes, name) => {
+  return _.some(attributes, (attribute) => {
+    return attribute.split(',').some((part) => part.trim().replace(/^\w+\((.*)\)$/, '$1') === name);
+  });
+};
 
 /**
  * Algolia Class
+ *
+ * The default backend, which writes in batches, reindexes and promotes
+ * atomically and manages synonyms, rules and replicas as well
  */
-class Algolia {
+class Algolia extends Adapter {
 
   /**
    * Constructor
-   * @param  {Object} config Configuration
-   * @param  {String} index  Name of index
+   * @param  {Object} config    Configuration
+   * @param  {String} index     Name of index
+   * @param  {String} baseIndex Name to look up index settings with, if there
+   *                            are none for `index`
+   * @param  {RetryPolicy} retry Policy to retry failing requests with
+   * @param  {EventEmitter} events Emitter of progress events
    * @return {void}
    */
-  constructor (config, index) {
-    let indexName = (config.indexPrefix || '') + index;
+  constructor (config, index, baseIndex, retry = new RetryPolicy(), events = null) {
+    super(config, index, baseIndex, retry, events);
 
     this.client = algoliasearch(config.applicationId, config.apiKey);
-    this.index = this.client.initIndex(indexName);
-    this.cachedResults = null;
-    this.indexName = indexName;
+    this.index = this.client.initIndex(this.indexName);
+    this.writer = this.getWriter(this.index);
+    this.lookup = null;
   }
 
   /**
-   * Index any data for a specific type. Update and create.
-   * @param  {Object}  data        All elements that should be indexed
-   * @param  {String}  contentType Current content type that is being indexed
-   * @param  {boolean} isSingle     Is it a single entry update, then don't delete stuff
-   * @return {Promise}
+   * Create a batch writer for an index, which emits a `batch` event for each
+   * written batch
+   * @param  {Object}      index        Algolia index
+   * @param  {Boolean}     waitForTasks Wait for each batch, defaults to the
+   *                                    `waitForTasks` config
+   * @return {BatchWriter}
    */
-  indexData (data, contentType, isSingle = false) {
-    return this.getElementsPromise(data, contentType)
-      .then((entries) => {
-        let deletedEntries = entries.deleted;
-
-        if (isSingle) {
-          deletedEntries = [];
-        }
-
-        return this.indexObjects(entries.created, entries.updated, deletedEntries);
+  getWriter (index, waitForTasks = this.config.waitForTasks) {
+    return new BatchWriter(index, {
+      batchSize: this.config.batchSize,
+      concurrency: this.config.batchConcurrency,
+      waitForTasks,
+      retry: this.retry,
+      onBatch: (result) => this.emit('batch', {
+        indexName: index.indexName,
+        operation: result.operation,
+        size: result.size,
+        error: result.error
       })
-      .catch(console.error);
+    });
   }
 
   /**
-   * Get a key for an entry
-   * @param  {Object} entry Entry to find key for
-   * @return {String}       Key of entry
+   * Get all objects of the index
+   * @return {Promise} Resolves with all objects
    */
-  getEntryKey (entry) {
-    let hash = crypto.createHash('sha256');
-
-    hash.update(entry.id);
-    hash.update(entry.locale);
-
-    return hash.digest('hex');
+  browse () {
+    return new Promise((resolve, reject) => {
+      let browser = this.index.browseAll();
+      let results = [];
+
+      browser
+        .on('result', (content) => {
+          results = _.concat(results, content.hits);
+        })
+        .on('end', () => {
+          resolve(results);
+        })
+        .on('error', reject);
+    });
   }
 
   /**
-   * For each element, that should be indexed, we need to know if it exists or not
-   * @param  {Object}  element     Element to index
-   * @param  {String}  contentType Current content type that is being indexed
-   * @return {Promise}             Resolver holds the data of element and if it
-   *                               exists or not
+   * Create or replace objects
+   * @param  {Array}   objects Objects to write, with or without `objectID`
+   * @return {Promise}         Resolves with the written object ids
    */
-  getElementsPromise (data, contentType) {
-    let entriesIndex = _.keyBy(data, this.getEntryKey);
-
-    if (!this.cachedResults) {
-      let promise = new Promise((resolve, reject) => {
-        let browser = this.index.browseAll();
-        let results = [];
-
-        browser
-          .on('result', (content) => {
-            results = _.concat(results, content.hits);
-          })
-          .on('end', () => {
-            resolve(results);
-          })
-          .on('error', reject);
-      });
-
-      this.cachedResults = promise;
-    }
+  upsert (objects) {
+    const withIds = _.filter(objects, 'objectID');
+    const withoutIds = _.reject(objects, 'objectID');
 
-    return this.cachedResults.then((hits) => {
-      if (contentType) {
-        hits = _.filter(hits, {
-          contentType
-        });
-      }
+    return Promise.all([this.writer.save(withIds), this.writer.add(withoutIds)])
+      .then((data) => {
+        this.assertBatches(data);
 
-      let results = {
-        created: [],
-        updated: [],
-        deleted: []
-      };
-
-      _.each(hits, (hit) => {
-        const key = this.getEntryKey(hit);
-
-        if (entriesIndex[key]) {
-          if (entriesIndex[key].locale === hit.locale) {
-            entriesIndex[key].objectID = hit.objectID;
-          }
-
-          const compactEntry = _.omitBy(entriesIndex[key], (prop) => {
-            return _.isUndefined(prop);
-          });
+        return this.getMergedObjects(data);
+      });
+  }
 
-          if (!_.isEqual(compactEntry, hit)) {
-            results.updated.push(entriesIndex[key]);
-          }
+  /**
+   * Delete objects
+   * @param  {Array}   objectIDs Ids of the objects to delete
+   * @return {Promise}
+   */
+  delete (objectIDs) {
+    return this.writer.delete(objectIDs)
+      .then((result) => this.assertBatches([result]));
+  }
 
-        } else if (contentType) { // just in case
-          results.deleted.push(hit.objectID);
+  /**
+   * Get the settings of the index
+   * @return {Promise} Resolves with the settings, null if there are none
+   */
+  getSettings () {
+    return this.index.getSettings()
+      .catch((error) => {
+        if (error.statusCode === 404) {
+          return null;
         }
-      });
 
-      results.created = _.filter(data, (entry) => !entry.objectID);
+        throw error;
+      });
+  }
 
-      return results;
-    });
+  /**
+   * Change settings of the index
+   * @param  {Object}  settings Settings to change
+   * @return {Promise}
+   */
+  setSettings (settings) {
+    return this.index.setSettings(settings);
   }
 
   /**
-   * Index all objects in Algolia by updating and creating them
+   * Index all objects in Algolia by updating and creating them. Objects are
+   * only deleted after all others have been written, so e.g. migrated objects
+   * are not lost if saving their replacements fails.
    * @param  {Array}    newObjects      Objects to create
    * @param  {Array}    existingObjects Objects to update
-   * @param  {Function} resolve         Resolve when ready
-   * @param  {Function} reject          Reject
-   * @return {Promise}
+   * @param  {Array}    deletedObjects  Ids of objects to delete
+   * @return {Promise}                  Resolves with the written object ids,
+   *                                    rejects if any batch failed
    */
   indexObjects (newObjects, existingObjects, deletedObjects) {
     return Promise.all([
       this.addObjects(newObjects),
-      this.updateObjects(existingObjects),
-      this.deleteObjects(deletedObjects)
+      this.updateObjects(existingObjects)
     ]).then((data) => {
-      return this.getMergedObjects(data);
+      this.assertBatches(data);
+
+      return this.deleteObjects(deletedObjects)
+        .then((result) => {
+          this.assertBatches([result]);
+
+          return this.getMergedObjects(data.concat(result));
+        });
+    });
+  }
+
+  /**
+   * Throw if any batch of a write failed. The error holds the entry id and
+   * locale if all failed objects share them.
+   * @param  {Array} data Results of batch writes
+   * @return {void}
+   */
+  assertBatches (data) {
+    const batches = _.flatMap(data, 'batches');
+    const failed = _.filter(batches, 'error');
+
+    if (failed.length === 0) {
+      return;
+    }
+
+    const objects = _.flatMap(failed, (batch) => batch.error.objects || []);
+    const getUnique = (key) => {
+      const values = _.uniq(_.map(objects, key));
+
+      return values.length === 1 ? values[0] : undefined;
+    };
+
+    throw new AlgoliaWriteError(`${failed.length} of ${batches.length} batches failed writing to ` +
+      `${this.indexName}: ${failed[0].error.message}`, {
+      indexName: this.indexName,
+      contentType: getUnique('contentType'),
+      entryId: getUnique('id'),
+      locale: getUnique('locale'),
+      batches,
+      cause: failed[0].error
     });
   }
 
@@ -161,6 +226,301 @@ class Algolia {
     return objects;
   }
 
+  /**
+   * Replace all objects of the index without downtime. The settings, synonyms
+   * and rules of the index are copied to `<index>_tmp_<suffix>`, all elements
+   * are written there and the temporary index is moved over the index once
+   * the number of objects is verified. The temporary index is removed on
+   * failure. The suffix is unique, so reindexes running at the same time do
+   * not write to the same temporary index. The deletion guards are checked
+   * before anything is written.
+   * @param  {Array}   data All elements of the index
+   * @return {Promise}      Resolves with the number of indexed objects or with
+   *                        a DiffReport in dry-run mode
+   */
+  reindex (data) {
+    return this.assertReindexGuard(data)
+      .then(() => this.dryRun ? this.getReindexReport(data) : this.replaceIndex(data));
+  }
+
+  /**
+   * Write all elements to a temporary index and move it over the index
+   * @param  {Array}   data All elements of the index
+   * @return {Promise}      Resolves with the number of indexed objects
+   */
+  replaceIndex (data) {
+    const tmpName = `${this.indexName}_tmp_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const tmpIndex = this.client.initIndex(tmpName);
+
+    return this.client.copyIndex(this.indexName, tmpName, ['settings', 'synonyms', 'rules'])
+      .then((content) => this.index.waitTask(content.taskID))
+      .catch((error) => {
+        // There is nothing to copy for a new index
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      })
+      .then(() => {
+        const writer = this.getWriter(tmpIndex, true);
+
+        return this.objectIds ? writer.save(this.withObjectIds(data)) : writer.add(data);
+      })
+      .then((result) => this.assertBatches([result]))
+      .then(() => tmpIndex.search({
+        query: '',
+        hitsPerPage: 0,
+        distinct: false,
+        analytics: false
+      }))
+      .then((content) => {
+        if (content.nbHits !== data.length) {
+          throw new AlgoliaWriteError(`Reindex of ${this.indexName} failed: expected ${data.length} ` +
+            `objects in ${tmpName}, found ${content.nbHits}`, {
+            indexName: this.indexName
+          });
+        }
+
+        return this.client.moveIndex(tmpName, this.indexName);
+      })
+      .then((content) => tmpIndex.waitTask(content.taskID))
+      .then(() => {
+        this.cachedResults = null;
+
+        return data.length;
+      })
+      .catch((error) => {
+        return this.deleteIndex(tmpName)
+          .catch(() => {})
+          .then(() => {
+            throw error;
+          });
+      });
+  }
+
+  /**
+   * Replace another index with the objects, settings, synonyms and rules of
+   * this index, e.g. to promote a staging index to production. The copy is
+   * atomic, so the other index stays searchable. An empty index is never
+   * promoted. The objects are compared with the ones of the other index if
+   * it has deletion guards.
+   * @param  {Algolia} target Index to replace
+   * @return {Promise}        Resolves with the number of promoted objects or
+   *                          with a DiffReport of the target in dry-run mode
+   */
+  promoteTo (target) {
+    const getData = () => this.getHits().then((hits) => hits.map((hit) => _.omit(hit, 'objectID')));
+
+    if (this.dryRun) {
+      return getData()
+        .then((data) => target.assertReindexGuard(data).then(() => target.getReindexReport(data)));
+    }
+
+    let count = 0;
+    const guard = target.hasDeletionGuard() ? getData().then((data) => target.assertReindexGuard(data)) :
+      Promise.resolve();
+
+    return guard
+      .then(() => this.retry.run(() => this.index.search({
+        query: '',
+        hitsPerPage: 0,
+        distinct: false,
+        analytics: false
+      }), `Counting objects of ${this.indexName}`))
+      .then((content) => {
+        count = content.nbHits;
+
+        if (count === 0) {
+          throw new AlgoliaWriteError(`Promoting ${this.indexName} to ${target.indexName} failed: ` +
+            `${this.indexName} is empty`, {
+            indexName: this.indexName
+          });
+        }
+
+        return this.retry.run(() => this.client.copyIndex(this.indexName, target.indexName),
+          `Copying ${this.indexName} to ${target.indexName}`);
+      })
+      .then((content) => this.index.waitTask(content.taskID))
+      .then(() => {
+        target.cachedResults = null;
+
+        return count;
+      });
+  }
+
+  /**
+   * Delete an index, if it exists
+   * @param  {String}  indexName Name of the index
+   * @return {Promise}
+   */
+  deleteIndex (indexName) {
+    const index = this.client.initIndex(indexName);
+
+    return this.client.deleteIndex(indexName)
+      .then((content) => index.waitTask(content.taskID))
+      .catch((error) => {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      });
+  }
+
+  /**
+   * Apply the configured settings, synonyms and rules to the index and to its
+   * configured replicas. Only changed parts are written. In dry-run mode the
+   * changes are only logged.
+   * @return {Promise} Resolves with the diff of each index
+   */
+  syncSettings () {
+    if (!this.indexConfig) {
+      return Promise.resolve([]);
+    }
+
+    return this.getSettingsDiff()
+      .then((diff) => {
+        this.logSettingsDiff(diff);
+
+        if (this.dryRun || !diff.hasChanges) {
+          return diff;
+        }
+
+        return this.applySettingsDiff(diff).then(() => diff);
+      })
+      .then((diff) => {
+        const replicas = _.keys(this.config.indexSettings).filter((name) => {
+          return _.includes(diff.replicas, (this.config.indexPrefix || '') + name);
+        });
+        const promises = replicas.map((name) => {
+          return new Algolia(this.config, name, undefined, this.retry, this.events).syncSettings();
+        });
+
+        return Promise.all(promises)
+          .then((results) => _.flatten([diff].concat(results)));
+      });
+  }
+
+  /**
+   * Get the configured settings. Replica names get the index prefix and `id`
+   * is added to configured attributes for faceting to look up objects by it.
+   * @return {Object} Settings
+   */
+  getConfiguredSettings () {
+    const prefix = this.config.indexPrefix || '';
+    let settings = this.indexConfig.settings;
+
+    if (settings && settings.attributesForFaceting && !hasAttribute(settings.attributesForFaceting, 'id')) {
+      settings = Object.assign({}, settings, {
+        attributesForFaceting: settings.attributesForFaceting.concat('filterOnly(id)')
+      });
+    }
+
+    if (settings && settings.replicas) {
+      settings = Object.assign({}, settings, {
+        replicas: settings.replicas.map((replica) => {
+          const virtual = /^virtual\((.*)\)$/.exec(replica);
+
+          return virtual ? `virtual(${prefix}${virtual[1]})` : prefix + replica;
+        })
+      });
+    }
+
+    return settings;
+  }
+
+  /**
+   * Compare the configured settings, synonyms and rules with the index
+   * @return {Promise} Resolves with changed settings and created, updated and
+   *                   deleted synonyms and rules
+   */
+  getSettingsDiff () {
+    const settings = this.getConfiguredSettings();
+    const ignoreMissing = (error) => {
+      if (error.statusCode === 404) {
+        return null;
+      }
+
+      throw error;
+    };
+
+    return Promise.all([
+      settings ? this.getSettings() : null,
+      this.indexConfig.synonyms ? this.index.exportSynonyms(1000).catch(ignoreMissing) : null,
+      this.indexConfig.rules ? this.index.exportRules(1000).catch(ignoreMissing) : null
+    ]).then((current) => {
+      const diff = {
+        indexName: this.indexName,
+        settings: this.diffSettings(settings, current[0]),
+        synonyms: this.getObjectsDiff(this.indexConfig.synonyms, current[1]),
+        rules: this.getObjectsDiff(this.indexConfig.rules, current[2]),
+        replicas: []
+      };
+
+      if (settings && settings.replicas) {
+        diff.replicas = settings.replicas.map((replica) => replica.replace(/^virtual\((.*)\)$/, '$1'));
+      }
+
+      diff.hasChanges = !_.isEmpty(diff.settings) ||
+        hasObjectChanges(diff.synonyms) || hasObjectChanges(diff.rules);
+
+      return diff;
+    });
+  }
+
+  /**
+   * Compare configured synonyms or rules with existing ones by objectID
+   * @param  {Array} configured Configured objects, not managed if empty
+   * @param  {Array} existing   Objects in the index
+   * @return {Object}           Object ids of created, updated and deleted
+   *                            objects
+   */
+  getObjectsDiff (configured, existing) {
+    if (!configured) {
+      return null;
+    }
+
+    const existingIndex = _.keyBy(existing || [], 'objectID');
+    const configuredIds = _.map(configured, 'objectID');
+
+    return {
+      created: _.filter(configuredIds, (id) => !existingIndex[id]),
+      updated: _.filter(configured, (object) => {
+        const current = existingIndex[object.objectID];
+
+        return current && !_.isEqual(_.pick(current, _.keys(object)), object);
+      }).map((object) => object.objectID),
+      deleted: _.filter(_.keys(existingIndex), (id) => !_.includes(configuredIds, id))
+    };
+  }
+
+  /**
+   * Write changed settings, synonyms and rules. Synonyms and rules replace
+   * all existing ones.
+   * @param  {Object}  diff Diff as returned by `getSettingsDiff`
+   * @return {Promise}
+   */
+  applySettingsDiff (diff) {
+    const promises = [];
+
+    this.lookup = null;
+
+    if (!_.isEmpty(diff.settings)) {
+      promises.push(this.index.setSettings(_.mapValues(diff.settings, 'to')));
+    }
+
+    if (hasObjectChanges(diff.synonyms)) {
+      promises.push(this.index.batchSynonyms(this.indexConfig.synonyms, {
+        replaceExistingSynonyms: true
+      }));
+    }
+
+    if (hasObjectChanges(diff.rules)) {
+      promises.push(this.index.batchRules(this.indexConfig.rules, {
+        clearExistingRules: true
+      }));
+    }
+
+    return Promise.all(promises);
+  }
+
   /**
    * Get the full index
    * @return {Promise} Resolves with the found elements
@@ -188,7 +548,6 @@ class Algolia {
     });
   }
 
-
   /**
    * Get an object from the index by its id attribute
    * @param  {String}  id     Id of a given object
@@ -211,112 +570,128 @@ class Algolia {
   }
 
   /**
-   * Get a objects from the index by its id attribute
-   * @param  {Array}   queries    Ids of a given objects
-   * @return {Promise}            Resolves with the found elements
+   * Get how objects are looked up by their id attribute: with a facet filter
+   * if `id` is an attribute for faceting, otherwise with a query on `id`
+   * @return {Promise} Resolves with `filters` or `query`, rejects with a
+   *                   ConfigError if `id` is neither used for faceting nor
+   *                   searchable
    */
-  getObjects (queries) {
-    queries = queries.map((query) => {
-      return {
-        indexName: this.indexName,
-        query,
-        params: {
-          restrictSearchableAttributes: ['id', 'locale']
-        }
-      };
-    });
+  getLookup () {
+    if (!this.lookup) {
+      this.lookup = this.retry.run(() => this.getSettings(), `Getting settings of ${this.indexName}`)
+        .then((settings) => {
+          settings = settings || {};
+
+          if (hasAttribute(settings.attributesForFaceting, 'id')) {
+            return 'filters';
+          }
 
-    return new Promise((resolve, reject) => {
-      this.client.search(queries, (error, results) => {
-        if (error) {
-          return reject(error);
-        }
+          if (settings.searchableAttributes && !hasAttribute(settings.searchableAttributes, 'id')) {
+            throw new ConfigError(`Objects of ${this.indexName} can not be looked up by id, ` +
+              'add `id` to `attributesForFaceting` or `searchableAttributes`');
+          }
 
-        return resolve(results);
+          return 'query';
+        });
+
+      this.lookup.catch(() => {
+        this.lookup = null;
       });
-    });
+    }
+
+    return this.lookup;
   }
 
   /**
-   * Add new objects to the index
-   * @param  {Array}   objects Objects to index
-   * @return {Promise}         Resolves with indexed objects
+   * Get a objects from the index by its id attribute. All chunks of split
+   * records are found, even if `distinct` is enabled for the index.
+   * @param  {Array}   ids Ids of a given objects
+   * @return {Promise}     Resolves with the found elements
    */
-  addObjects (objects) {
-    if (objects.length === 0) {
-      return {
-        objectIDs: []
-      };
-    }
+  getObjects (ids) {
+    return this.getLookup()
+      .then((lookup) => {
+        const queries = ids.map((id) => {
+          const params = {
+            hitsPerPage: 1000,
+            distinct: false
+          };
+
+          if (lookup === 'filters') {
+            params.filters = `id:"${id.replace(/"/g, '\\"')}"`;
+          } else {
+            params.restrictSearchableAttributes = ['id', 'locale'];
+          }
 
-    const promises = objects.map(object => (
-      this.index.addObject(object, (error, content) => {
-        if (error) {
           return {
-            error
+            indexName: this.indexName,
+            query: lookup === 'filters' ? '' : id,
+            params
           };
-        }
+        });
 
-        return content;
-      })
-    ));
+        return this.retry.run(() => new Promise((resolve, reject) => {
+          this.client.search(queries, (error, results) => {
+            if (error) {
+              return reject(error);
+            }
+
+            return resolve(results);
+          });
+        }), `Searching ${this.indexName}`);
+      });
+  }
+
+  /**
+   * Get all objects of all locales for the given ids
+   * @param  {Array}   ids Ids of the objects
+   * @return {Promise}     Resolves with the found objects
+   */
+  getObjectsByIds (ids) {
+    const promises = _.chunk(ids, MAX_QUERIES_PER_REQUEST).map((chunk) => {
+      return this.getObjects(chunk);
+    });
 
     return Promise.all(promises)
       .then((responses) => {
-        const errors = responses.filter(response => response && response.error);
-
-        if (errors.length > 0) {
-          throw new Error(errors);
-        }
+        const hits = _.flatMap(responses, (response) => {
+          return _.flatMap(response.results, (result) => result.hits);
+        });
 
-        return responses;
+        return _.uniqBy(_.filter(hits, (hit) => _.includes(ids, hit.id)), 'objectID');
       });
   }
 
   /**
-   * Update existing objects in the index
-   * @param  {Array}   objects Objects to update
-   * @return {Promise}         Resolves with indexed objects
+   * Add new objects to the index
+   * @param  {Array}   objects Objects to index
+   * @return {Promise}         Resolves with the result of all batches
    */
-  updateObjects (objects) {
-    if (objects.length === 0) {
-      return {
-        objectIDs: []
-      };
+  addObjects (objects) {
+    // Objects with deterministic objectIDs are upserted, which is idempotent
+    if (this.objectIds) {
+      return this.writer.save(objects);
     }
 
-    return new Promise((resolve, reject) => {
-      this.index.saveObjects(objects, (error, content) => {
-        if (error) {
-          return reject(error);
-        }
+    return this.writer.add(objects);
+  }
 
-        return resolve(content);
-      });
-    });
+  /**
+   * Update existing objects in the index
+   * @param  {Array}   objects Objects to update
+   * @return {Promise}         Resolves with the result of all batches
+   */
+  updateObjects (objects) {
+    return this.writer.save(objects);
   }
 
   /**
    * Delete existing objects from the index
-   * @param  {Array}   objects Objects to update
-   * @return {Promise}         Resolves with indexed objects
+   * @param  {Array}   objects Ids of objects to delete
+   * @return {Promise}         Resolves with the result of all batches
    */
   deleteObjects (objects) {
-    if (objects.length === 0) {
-      return {
-        objectIDs: []
-      };
-    }
-
-    return new Promise((resolve, reject) => {
-      this.index.deleteObjects(objects, (error, content) => {
-        if (error) {
-          return reject(error);
-        }
-
-        return resolve(content);
-      });
-    });
+    return this.writer.delete(objects);
   }
 }
 
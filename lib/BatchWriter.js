@@ -0,0 +1,170 @@
+/**
+ * Write objects to an Algolia index in batches
+ */
+const _ = require('lodash');
+const RetryPolicy = require('./RetryPolicy');
+
+const DEFAULTS = {
+  batchSize: 1000,
+  concurrency: 1,
+  waitForTasks: false
+};
+
+const OPERATIONS = {
+  add: 'addObjects',
+  save: 'saveObjects',
+  delete: 'deleteObjects'
+};
+
+/**
+ * BatchWriter Class
+ */
+class BatchWriter {
+
+  /**
+   * Constructor
+   * @param  {Object}  index                Algolia index
+   * @param  {Object}  options              Options
+   * @param  {Number}  options.batchSize    Objects per request
+   * @param  {Number}  options.concurrency  Requests running at the same time
+   * @param  {Boolean} options.waitForTasks Wait until Algolia processed each
+   *                                        batch
+   * @param  {RetryPolicy} options.retry    Policy to retry failing batches
+   * @param  {Function} options.onBatch     Called with the result of each
+   *                                        batch
+   * @return {void}
+   */
+  constructor (index, options = {}) {
+    this.index = index;
+    this.options = _.defaults(_.omitBy(options, _.isUndefined), DEFAULTS);
+    this.retry = this.options.retry || new RetryPolicy();
+  }
+
+  /**
+   * Add new objects
+   * @param  {Array}   objects Objects to add
+   * @return {Promise}         Resolves with the result of all batches
+   */
+  add (objects) {
+    return this.write('add', objects);
+  }
+
+  /**
+   * Replace existing objects
+   * @param  {Array}   objects Objects with objectID to save
+   * @return {Promise}         Resolves with the result of all batches
+   */
+  save (objects) {
+    return this.write('save', objects);
+  }
+
+  /**
+   * Delete objects
+   * @param  {Array}   objectIDs Ids of the objects to delete
+   * @return {Promise}           Resolves with the result of all batches
+   */
+  delete (objectIDs) {
+    return this.write('delete', objectIDs);
+  }
+
+  /**
+   * Run an operation on all objects in batches. Failing batches do not stop
+   * the others, their errors are part of the result.
+   * @param  {String}  operation `add`, `save` or `delete`
+   * @param  {Array}   objects   Objects or object ids
+   * @return {Promise}           Resolves with the written object ids, the
+   *                             result of each batch and all errors
+   */
+  write (operation, objects) {
+    const batches = _.chunk(objects, this.options.batchSize);
+    const jobs = batches.map((batch) => () => this.writeBatch(operation, batch));
+
+    return this.run(jobs)
+      .then((results) => {
+        return {
+          objectIDs: _.flatMap(results, 'objectIDs'),
+          batches: results,
+          errors: _.compact(_.map(results, 'error'))
+        };
+      });
+  }
+
+  /**
+   * Write a single batch. Adding objects is not idempotent, as Algolia
+   * generates their objectIDs, so it is only retried on rate limits. Other
+   * failed requests may have been written already.
+   * @param  {String}  operation `add`, `save` or `delete`
+   * @param  {Array}   batch     Objects or object ids
+   * @return {Promise}           Resolves with the result of the batch, which
+   *                             holds the error if it failed
+   */
+  writeBatch (operation, batch) {
+    const result = {
+      operation,
+      size: batch.length,
+      taskID: null,
+      objectIDs: [],
+      error: null
+    };
+
+    const isRetryable = operation === 'add' ? (error) => this.retry.isRateLimit(error) : undefined;
+
+    return this.retry
+      .run(() => this.index[OPERATIONS[operation]](batch), `Writing ${batch.length} objects (${operation})`,
+        isRetryable)
+      .then((content) => {
+        result.taskID = content.taskID;
+        result.objectIDs = content.objectIDs || [];
+
+        if (this.options.waitForTasks) {
+          return this.index.waitTask(content.taskID);
+        }
+      })
+      .then(() => result)
+      .catch((error) => {
+        error.objects = batch;
+        result.error = error;
+
+        return result;
+      })
+      .then((result) => {
+        if (this.options.onBatch) {
+          this.options.onBatch(result);
+        }
+
+        return result;
+      });
+  }
+
+  /**
+   * Run jobs with limited concurrency
+   * @param  {Array}   jobs Functions returning a Promise
+   * @return {Promise}      Resolves with the results in order of the jobs
+   */
+  run (jobs) {
+    const results = [];
+    let next = 0;
+    const worker = () => {
+      if (next >= jobs.length) {
+        return Promise.resolve();
+      }
+
+      const current = next++;
+
+      return jobs[current]().then((result) => {
+        results[current] = result;
+
+        return worker();
+      });
+    };
+
+    return Promise.all(_.times(Math.min(this.options.concurrency, jobs.length), worker))
+      .then(() => results);
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = BatchWriter;
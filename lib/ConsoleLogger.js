@@ -0,0 +1,97 @@
+/**
+ * Default logger, which writes messages to the console
+ */
+const _ = require('lodash');
+const { ConfigError } = require('./Errors');
+const FORMATS = ['text', 'json'];
+
+const METHODS = {
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+/**
+ * ConsoleLogger Class
+ *
+ * Any object implementing `info`, `warn` and `error` can be used as a
+ * replacement. Each is called with a message and an object of details like
+ * `contentType`, `source` and `indexName`.
+ */
+class ConsoleLogger {
+
+  /**
+   * Constructor
+   * @param  {Object} options        Options
+   * @param  {String} options.format `text` (default) for plain messages or
+   *                                 `json` for a JSON object per line, which
+   *                                 includes level, time and details
+   * @return {void}
+   */
+  constructor (options = {}) {
+    const format = options.format || 'text';
+
+    if (!_.includes(FORMATS, format)) {
+      throw new ConfigError(`Invalid log format "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+
+    this.format = format;
+  }
+
+  /**
+   * Log progress
+   * @param  {String} message Message
+   * @param  {Object} details Details of the message
+   * @return {void}
+   */
+  info (message, details) {
+    this.write('info', message, details);
+  }
+
+  /**
+   * Log a problem, which does not stop the sync
+   * @param  {String} message Message
+   * @param  {Object} details Details of the message
+   * @return {void}
+   */
+  warn (message, details) {
+    this.write('warn', message, details);
+  }
+
+  /**
+   * Log a failure
+   * @param  {String} message Message
+   * @param  {Object} details Details of the message
+   * @return {void}
+   */
+  error (message, details) {
+    this.write('error', message, details);
+  }
+
+  /**
+   * Write a message to the console
+   * @param  {String} level   `info`, `warn` or `error`
+   * @param  {String} message Message
+   * @param  {Object} details Details of the message, only written as JSON
+   * @return {void}
+   */
+  write (level, message, details = {}) {
+    if (this.format === 'text') {
+      console[METHODS[level]](message);
+
+      return;
+    }
+
+    console[METHODS[level]](JSON.stringify(Object.assign({
+      level,
+      time: new Date().toISOString(),
+      message
+    }, _.omitBy(details, _.isUndefined))));
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = ConsoleLogger;
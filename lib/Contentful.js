@@ -1,31 +1,155 @@
 /**
  * Contentful configuration and library
  */
+const axios = require('axios');
 const contentful = require('contentful');
+const https = require('https');
 const _ = require('lodash');
-const merge = _.merge;
+const LinkResolver = require('./LinkResolver');
+const RetryPolicy = require('./RetryPolicy');
+const { ContentfulFetchError, ConfigError, getMessage } = require('./Errors');
 const MAX_CONTENTFUL_RESULTS = 1000;
 
+// Keeps `sys.id[in]` queries within the URL length limit
+const IDS_PER_REQUEST = 100;
+
+// Requests looking up linking entries at the same time
+const LINKS_CONCURRENCY = 5;
+const MANAGEMENT_HOST = 'api.contentful.com';
+
+/**
+ * Send a request of the Contentful client with the default adapter of axios.
+ * The client rejects with the body of failed responses only, so their headers
+ * are added to it, e.g. for the retry policy to wait for the rate limit reset.
+ * @param  {Object}  requestConfig Config of the axios request
+ * @return {Promise}               Resolves or rejects like the default adapter
+ */
+const keepErrorHeaders = (requestConfig) => {
+  return axios.defaults.adapter(requestConfig)
+    .catch((error) => {
+      const response = error.response;
+
+      if (response && typeof response.data === 'string') {
+        try {
+          response.data = JSON.parse(response.data);
+        } catch (parseError) {
+          // Bodies which are no JSON are passed on as they are
+        }
+      }
+
+      if (response && _.isPlainObject(response.data)) {
+        response.data.headers = response.headers;
+      }
+
+      throw error;
+    });
+};
+
 const flatten = (array) => {
   return array.reduce((a, b) => {
     return a.concat(Array.isArray(b) ? flatten(b) : b);
   }, []);
 };
 
+/**
+ * Request JSON from the Content Management API
+ * @param  {String}  host  API host
+ * @param  {String}  path  Path of the resource
+ * @param  {String}  token Management token
+ * @return {Promise}       Resolves with the parsed body, rejects with an
+ *                         error holding `statusCode` and `headers`
+ */
+const requestManagement = (host, path, token) => {
+  return new Promise((resolve, reject) => {
+    const request = https.get({
+      host,
+      path,
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    }, (response) => {
+      let body = '';
+
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+
+      response.on('end', () => {
+        if (response.statusCode >= 400) {
+          return reject(Object.assign(new Error(`Request to ${path} failed with status ${response.statusCode}`), {
+            statusCode: response.statusCode,
+            headers: response.headers
+          }));
+        }
+
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Get the status of a draft entry. The Content Management API sets versions,
+ * which are bumped once more by publishing. Without them, the entry is
+ * compared with its published version.
+ * @param  {Object} sys       Meta data of the draft entry
+ * @param  {Object} published Published entry, if there is one
+ * @return {String}           `draft`, `changed` or `published`
+ */
+const getStatus = (sys, published) => {
+  if (_.isInteger(sys.version)) {
+    if (!sys.publishedVersion) {
+      return 'draft';
+    }
+
+    return sys.version > sys.publishedVersion + 1 ? 'changed' : 'published';
+  }
+
+  if (!published) {
+    return 'draft';
+  }
+
+  return published.sys.updatedAt === sys.updatedAt ? 'published' : 'changed';
+};
+
 class Contentful {
 
   /**
    * Constructor
    * @param  {Object}   config  Configuration
    * @param  {Array}    locales Locales to check for
+   * @param  {Mapping}  mapping Field mapping applied to localized entries
+   * @param  {RetryPolicy} retry Policy to retry failing requests with
+   * @param  {RecordFilter} filter Filter deciding which localized entries are
+   *                               indexed
+   * @param  {String}   source  Name of the source, set as `source` on all
+   *                            records if given
+   * @param  {EventEmitter} events Emitter of `fetchPage` and `localize`
+   *                               progress events
    * @return {void}
    */
-  constructor (config, locales) {
+  constructor (config, locales, mapping, retry = new RetryPolicy(), filter = null, source = undefined,
+    events = null) {
+    if (!locales || locales.length === 0) {
+      throw new ConfigError('Invalid config: `locales` are required');
+    }
+
     const clientConfig = {
       space: config.space,
       accessToken: config.accessToken,
       host: config.host,
       environment: config.environment,
+
+      // Failed requests are retried by the retry policy, which would multiply
+      // the attempts of the client
+      retryOnError: false,
+      adapter: keepErrorHeaders
     };
 
     /**
@@ -33,27 +157,91 @@ class Contentful {
      */
     this.client = contentful.createClient(clientConfig);
 
+    /**
+     * Set the config of the space
+     */
+    this.config = config;
+
     /**
      * Set the locales
      */
     this.locales = locales;
+
+    /**
+     * Set the field mapping
+     */
+    this.mapping = mapping;
+
+    /**
+     * Set the retry policy
+     */
+    this.retry = retry;
+
+    /**
+     * Set the filter of localized entries
+     */
+    this.filter = filter;
+
+    /**
+     * Set the resolver of linked entries
+     */
+    this.resolver = new LinkResolver(config);
+
+    /**
+     * Set the name of the source
+     */
+    this.source = source;
+
+    /**
+     * Set the emitter of progress events
+     */
+    this.events = events;
   }
 
-  getEntriesPaged(query, skip = 0, previous = []) {
+  /**
+   * Emit a progress event, which holds the name of the source
+   * @param  {String} event Name of the event
+   * @param  {Object} data  Details of the event
+   * @return {void}
+   */
+  emit (event, data) {
+    if (this.events) {
+      this.events.emit(event, _.pickBy(Object.assign({
+        source: this.source
+      }, data), _.negate(_.isUndefined)));
+    }
+  }
+
+  getEntriesPaged(query, skip = 0, previous = [], method = 'getEntries') {
+    let description = query.links_to_entry ? `entries linking to ${query.links_to_entry}` :
+      `${query.content_type} entries`;
+
+    if (method === 'getAssets') {
+      description = 'assets';
+    }
+
     query = Object.assign({}, query, {
       skip,
       limit: MAX_CONTENTFUL_RESULTS
     });
 
-    return this.client
-      .getEntries(query)
+    return this.retry
+      .run(() => this.client[method](query), `Fetching ${description} from ${skip}`)
       .then((result) => {
         const entries = previous.concat(result.items);
 
+        this.emit('fetchPage', {
+          contentType: method === 'getAssets' ? LinkResolver.ASSET_CONTENT_TYPE : query.content_type,
+          linksToEntry: query.links_to_entry,
+          skip,
+          fetched: entries.length,
+          total: result.total
+        });
+
         if (result.skip + MAX_CONTENTFUL_RESULTS < result.total) {
           const entriesToRequest = skip + MAX_CONTENTFUL_RESULTS;
 
-          return this.getEntriesPaged(query, entriesToRequest, entries);
+          return this.getEntriesPaged(query, entriesToRequest, entries, method);
         }
 
         return entries;
@@ -61,303 +249,288 @@ class Contentful {
   }
 
   /**
-   * Get all entries of a specific type
+   * Get all entries of a specific type. Assets are fetched with the content
+   * type `Asset`.
    * @param  {String}   categoryId       Content type id
-   * @param  {String}   entryId          Id of an entry that should be syced
+   * @param  {String}   entryId          Id of an entry that should be syced,
+   *                                     or an array of ids
    * @param  {Function} manipulateSingle Manipulate each entry
    * @return {Promise}
    */
   getEntries (categoryId, entryId, manipulateSingle) {
+    return this.fetchEntries(categoryId, entryId)
+      .then((entries) => this.localizeEntries(entries, manipulateSingle));
+  }
+
+  /**
+   * Get all entries of a specific type as returned by Contentful. Arrays of
+   * ids are fetched in chunks, one after another.
+   * @param  {String}  categoryId Content type id
+   * @param  {String}  entryId    Id of an entry that should be syced, or an
+   *                              array of ids
+   * @return {Promise}            Resolves with the raw entries
+   */
+  fetchEntries (categoryId, entryId) {
     return new Promise((fulfill, reject) => {
+      const isAsset = categoryId === LinkResolver.ASSET_CONTENT_TYPE;
+      const method = isAsset ? 'getAssets' : 'getEntries';
       let query = {
-        content_type: categoryId,
-        locale: '*',
-        include: 2
+        locale: '*'
       };
+      let promise;
 
-      if (entryId) {
-        query['sys.id'] = entryId;
+      if (!isAsset) {
+        query.content_type = categoryId;
+        query.include = this.resolver.getInclude(categoryId);
       }
 
-      this.getEntriesPaged(query)
-        .then((entries) => {
-          let data = entries.map((entry) => {
-            const localizedEntries = this._getLocalizedEntries(entry);
-            let localizedManipulatedEntries = localizedEntries;
-
-            if (manipulateSingle) {
-              localizedManipulatedEntries = localizedEntries.map((entry) => {
-                return manipulateSingle(entry, localizedEntries);
-              });
-            }
-
-            return localizedManipulatedEntries;
-          });
+      if (Array.isArray(entryId)) {
+        promise = _.chunk(entryId, IDS_PER_REQUEST).reduce((previous, ids) => {
+          return previous.then((entries) => this.getEntriesPaged(Object.assign({
+            'sys.id[in]': ids.join(',')
+          }, query), 0, entries, method));
+        }, Promise.resolve([]));
+      } else {
+        if (entryId) {
+          query['sys.id'] = entryId;
+        }
 
-          data = flatten(data);
+        promise = this.getEntriesPaged(query, 0, [], method);
+      }
 
-          fulfill(data);
+      promise
+        .then((entries) => {
+          fulfill(entries);
         })
-        .catch(reject);
+        .catch((error) => {
+          reject(new ContentfulFetchError(
+            `Fetching entries of content type "${categoryId}" failed: ${getMessage(error)}`, {
+              contentType: categoryId,
+              entryId: entryId || undefined,
+              cause: error
+            }
+          ));
+        });
     });
   }
 
-  _getLocalizedEntries (entry) {
-    entry = this._cleanEntry(entry);
-
-    if (!this.locales) {
-      return this._mergeFields(entry, entry.fields);
-    }
-
-    // Generate entries for all locales
-    let localizedEntries = this.locales.map((locale) => {
-      let newEntry = Object.assign({}, entry);
-      let fields = newEntry.fields;
+  /**
+   * Get all entries which link to an entry, directly or through other
+   * entries up to the given depth. Each entry is returned once. A few
+   * entries are looked up at the same time.
+   * @param  {String}  entryId Id of the linked entry
+   * @param  {Number}  depth   Levels of links to follow back
+   * @return {Promise}         Resolves with the raw linking entries
+   */
+  getLinkingEntries (entryId, depth = 1) {
+    const found = {};
+    const visit = (ids, level) => {
+      if (ids.length === 0 || level > depth) {
+        return Promise.resolve();
+      }
 
-      fields = this._getFieldsForLocale(fields, locale);
-      fields = this._getFields(fields, locale);
+      const lookups = _.chunk(ids, LINKS_CONCURRENCY).reduce((promise, chunk) => {
+        return promise.then((results) => {
+          return Promise.all(chunk.map((id) => {
+            return this.getEntriesPaged({
+              links_to_entry: id,
+              include: 0
+            });
+          })).then((chunkResults) => results.concat(chunkResults));
+        });
+      }, Promise.resolve([]));
 
-      newEntry = this._mergeFields(newEntry, fields);
-      delete newEntry.fields;
+      return lookups
+        .then((results) => {
+          const entries = _.uniqBy(_.flatten(results), 'sys.id').filter((entry) => {
+            return entry.sys.id !== entryId && !found[entry.sys.id];
+          });
 
-      newEntry = this._cleanMore(newEntry, locale);
-      newEntry = this._cleanLocales(newEntry, locale);
-      newEntry = this._getLocalForNestedFields(newEntry, locale);
+          entries.forEach((entry) => {
+            found[entry.sys.id] = entry;
+          });
 
-      return newEntry;
-    });
+          return visit(_.map(entries, 'sys.id'), level + 1);
+        });
+    };
 
-    return localizedEntries;
+    return visit([entryId], 1)
+      .then(() => _.values(found))
+      .catch((error) => {
+        throw new ContentfulFetchError(`Fetching entries linking to "${entryId}" failed: ${getMessage(error)}`, {
+          entryId,
+          cause: error
+        });
+      });
   }
 
-  _getLocalForNestedFields(entry, locale) {
-    Object.keys(entry).forEach((key) => {
-      if (entry[key] && entry[key].constructor === Array) {
-        entry[key] = entry[key].map((item) => {
-          item = this._cleanMore(item, locale);
-          item = this._cleanLocales(item, locale);
-
-          if (item.fields) {
-            let fields = item.fields;
-
-            fields = this._getFieldsForLocale(fields, locale);
-            fields = this._getFields(fields, locale);
-
-            item = this._mergeFields(item, fields);
-            delete item.fields;
-          }
+  /**
+   * Get all changes since the last synchronisation by using Contentful's
+   * Synchronization API
+   * @param  {String}  syncToken Token of the last run, does an initial sync if
+   *                             not given
+   * @return {Promise}           Resolves with changed entries and assets, ids of
+   *                             deleted ones and the token for the next run
+   */
+  getSyncChanges (syncToken) {
+    let query = {
+      initial: true
+    };
 
-          item = this._getLocalForNestedFields(item, locale);
+    if (syncToken) {
+      query = {
+        nextSyncToken: syncToken
+      };
+    }
 
-          return item;
+    return this.retry
+      .run(() => this.client.sync(query), 'Fetching changes')
+      .catch((error) => {
+        throw new ContentfulFetchError(`Fetching changes failed: ${getMessage(error)}`, {
+          cause: error
         });
-      }
-    });
-
-    return entry;
+      })
+      .then((response) => {
+        const deleted = response.deletedEntries.concat(response.deletedAssets || []);
+
+        return {
+          entries: response.entries.concat(response.assets || []),
+          deletedIds: deleted.map((entry) => entry.sys.id),
+          nextSyncToken: response.nextSyncToken
+        };
+      });
   }
 
   /**
-   * Clean entries a bit more (to reduce file size)
-   * @param  {Object} entry  Entry to clean
-   * @param  {Array}  locale Locales
-   * @param  {Array}  cleanStack Stack of entries already processed, for cycle detection
-   * @return {Object}        Cleaned entry
+   * Get the environment the configured one points to. Aliases like `master`
+   * are looked up with the Content Management API, which requires
+   * `managementToken` in the config.
+   * @return {Promise} Resolves with the id of the environment, which is the
+   *                   configured one if it is no alias
    */
-  _cleanMore (entry, locale, cleanStack = []) {
-    let newEntry = {};
+  getAliasedEnvironment () {
+    const environment = this.config.environment || 'master';
 
-    // circular reference detected, do not re-process this entry
-    if (_.indexOf(cleanStack, entry)) {
-      return entry;
+    if (!this.config.managementToken) {
+      return Promise.reject(new ConfigError('Resolving environment aliases requires `managementToken` in the contentful config'));
     }
 
-    for (let key in entry) {
-      if (typeof entry[key] === 'object') {
-        if (entry[key].sys) {
-          newEntry[key] = this._cleanEntry(entry[key]);
-
-        } else if (entry[key].elements && entry[key].elements.constructor === Array) {
-          newEntry[key] = {};
-          newEntry[key].elements = entry[key].elements.map((entry) => {
-            entry = this._cleanEntry(entry, true);
+    const path = `/spaces/${encodeURIComponent(this.config.space)}/environment_aliases/${encodeURIComponent(environment)}`;
 
-            return this._getFieldsForLocale(entry.fields, locale);
-          });
-
-          delete entry[key].elements;
-
-          newEntry[key] = merge(entry[key], newEntry[key]);
-        } else {
-          cleanStack.push(entry);
-          newEntry[key] = this._cleanMore(entry[key], locale, cleanStack);
-          cleanStack.pop();
+    return this.retry
+      .run(() => requestManagement(this.config.managementHost || MANAGEMENT_HOST, path, this.config.managementToken),
+        `Resolving environment ${environment}`)
+      .then((alias) => alias.environment.sys.id)
+      .catch((error) => {
+        // Environments which are no alias are not found
+        if (error.statusCode === 404) {
+          return environment;
         }
-      }
-    }
 
-    return merge(entry, newEntry);
+        throw new ContentfulFetchError(`Resolving environment "${environment}" failed: ${getMessage(error)}`, {
+          cause: error
+        });
+      });
   }
 
   /**
-   * Clean fields to only transport locale information
-   * @param  {Object} entry  Entry to localize
-   * @param  {Array}  locale Locales
-   * @return {Object}        Localized entry
+   * Localize raw Contentful entries, drop filtered ones, apply the field
+   * mapping and run them through manipulation. Records are tagged with the
+   * name of the source if there is one. Drafts get a `status` if the
+   * published entries are given.
+   * @param  {Array}    entries          Entries as returned by Contentful
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @param  {Array}    published        Published versions of draft entries
+   * @return {Array}                     Flat list of localized entries
    */
-  _cleanLocales (entry, locale) {
-    Object.keys(entry).forEach((key) => {
-      if (typeof entry[key] === 'object' && entry[key].fields) {
-        entry[key] = this._getFieldsForLocale(entry[key].fields, locale);
+  localizeEntries (entries, manipulateSingle, published = undefined) {
+    const publishedById = published ? _.keyBy(published, 'sys.id') : null;
+    const counts = {};
+    const data = entries.map((entry) => {
+      let localizedEntries = this._getLocalizedEntries(entry);
+
+      if (this.source !== undefined) {
+        localizedEntries = localizedEntries.map((localized) => Object.assign(localized, {
+          source: this.source
+        }));
       }
-    });
 
-    return entry;
-  }
+      if (publishedById) {
+        const status = getStatus(entry.sys, publishedById[entry.sys.id]);
 
-  /**
-   * Clean a provided entry of its metadata
-   * @param  {Object}  entry Entry to be cleaned
-   * @param  {Boolean} full  Should all meta data be removed
-   * @return {Object}        Cleaned entry
-   */
-  _cleanEntry (entry, full = false) {
-    let newEntry = {};
-    let contentType = false;
-
-    newEntry.fields = {};
-
-    if (!entry) {
-      return newEntry;
-    }
-
-    if (entry.sys) {
-
-      if (entry.sys.contentType) {
-        contentType = entry.sys.contentType.sys.id;
+        localizedEntries = localizedEntries.map((localized) => Object.assign(localized, {
+          status
+        }));
       }
 
-      if (full) {
-        delete entry.sys;
-      } else {
-        delete entry.sys.space;
-        delete entry.sys.contentType;
-        delete entry.sys.type;
-        delete entry.sys.revision;
+      if (this.filter) {
+        localizedEntries = localizedEntries.filter((localized) => this.filter.accepts(localized, entry));
+      }
 
-        newEntry = entry.sys;
+      if (this.mapping) {
+        localizedEntries = localizedEntries.map((entry) => this.mapping.apply(entry));
       }
-    }
 
-    newEntry.fields = entry.fields;
+      let localizedManipulatedEntries = localizedEntries;
 
-    if (typeof newEntry.fields === 'object' && !newEntry.fields.contentType) {
-      newEntry.fields.contentType = {};
-      this.locales.forEach((locale) => {
-        locale.forEach((string) => {
-          newEntry.fields.contentType[string] = contentType;
+      if (manipulateSingle) {
+        localizedManipulatedEntries = localizedEntries.map((entry) => {
+          return manipulateSingle(entry, localizedEntries);
         });
-      });
-    }
-
-    return newEntry;
-  }
-
-  /**
-   * Merge two fieldsets
-   * @param  {Object} entry  Fieldset one
-   * @param  {Object} fields Fieldset two
-   * @return {Obejct}        New fieldsets
-   */
-  _mergeFields (entry = {}, fields = {}) {
-    entry = merge(entry, fields);
-    delete entry.fields;
-
-    return entry;
-  }
-
-  /**
-   * Get complete field entries with siblings
-   * @param  {Object} fields All fields
-   * @param  {String} key    Name of a field that should be found
-   * @param  {Array}  locale Locales to search for
-   * @return {Object}        Converted object
-   */
-  _getFieldEntry (fields, key, locale) {
-    if (!fields[key]) {
-      return fields;
-    }
+      }
 
-    if (fields[key].constructor === Array) {
-      fields[key] = fields[key].map((entry) => {
-        if (!(entry instanceof Object)) {
-          return entry;
-        }
+      const type = this.getContentType(entry);
 
-        entry = this._cleanEntry(entry, true);
-        entry = this._mergeFields(entry, entry.fields);
-        entry = this._getFields(entry, locale);
-        entry = this._getFieldsForLocale(entry, locale);
+      counts[type] = counts[type] || {
+        entries: 0,
+        records: 0,
+        locales: {}
+      };
+      counts[type].entries++;
+      counts[type].records += localizedManipulatedEntries.length;
+      localizedManipulatedEntries.forEach((localized) => {
+        const locale = localized && localized.locale;
 
-        return entry;
+        counts[type].locales[locale] = (counts[type].locales[locale] || 0) + 1;
       });
-    }
 
-    return fields;
-  }
+      return localizedManipulatedEntries;
+    });
 
-  /**
-   * Iterate through all fields of an entry
-   * @param  {Object} fields All fields of a given entry
-   * @param  {Array}  locale Locales to search for
-   * @return {Object}        New entry
-   */
-  _getFields (fields, locale) {
-    Object.keys(fields).forEach((key) => {
-      fields = this._getFieldEntry(fields, key, locale);
+    _.each(counts, (count, contentType) => {
+      this.emit('localize', Object.assign({
+        contentType,
+        preview: published ? true : undefined
+      }, count));
     });
 
-    return fields;
+    return flatten(data);
   }
 
   /**
-   * Get all fields for a configured locale
-   * @param  {Object}  fields   All fields in all availabe languages
-   * @param  {Array}   locale   Locale configuration
-   * @return {Object}           Localized fieldset
+   * Get the content type id of a raw Contentful entry
+   * @param  {Object} entry Entry or asset as returned by Contentful
+   * @return {String}       Id of the content type, `Asset` for assets
    */
-  _getFieldsForLocale (fields, locale) {
-    let entry = {};
-
-    Object.keys(fields).forEach((key) => {
-      entry[key] = this._getLocaleString(fields[key], locale);
-    });
-
-    entry.locale = locale[0];
+  getContentType (entry) {
+    if (!entry.sys) {
+      return null;
+    }
 
-    return entry;
+    return this.resolver.getContentType(entry) || null;
   }
 
   /**
-   * Get local string
-   * @param  {Mixed}        field  Field to find content in
-   * @param  {Array|String} locale Locales to check
-   * @return {Mixed}               Localized field
+   * Get an entry for each configured locale
+   * @param  {Object} entry Entry or asset as returned by Contentful
+   * @return {Array}        Localized entries
    */
-  _getLocaleString (field, locale) {
-    let localizedField;
-
-    if (locale.constructor !== Array) {
-      locale = [locale];
+  _getLocalizedEntries (entry) {
+    if (entry.sys.type === 'Asset') {
+      return this.locales.map((locale) => this.resolver.localizeAsset(entry, locale));
     }
 
-    locale.forEach((currentLocale) => {
-      if (field[currentLocale] && !localizedField) {
-        localizedField = field[currentLocale];
-      }
-    });
-
-    return localizedField;
+    return this.locales.map((locale) => this.resolver.localize(entry, locale));
   }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * Report of the changes a sync would apply to an Algolia index
+ */
+const _ = require('lodash');
+
+const IGNORED_FIELDS = ['objectID', '_highlightResult'];
+
+/**
+ * DiffReport Class
+ */
+class DiffReport {
+
+  /**
+   * Constructor
+   * @param  {String} indexName Name of the index
+   * @return {void}
+   */
+  constructor (indexName) {
+    this.indexName = indexName;
+    this.created = [];
+    this.updated = [];
+    this.deleted = [];
+  }
+
+  /**
+   * Merge multiple reports into one
+   * @param  {Array}      reports Reports to merge
+   * @return {DiffReport}         Merged report
+   */
+  static merge (reports) {
+    reports = _.compact(reports);
+
+    const report = new DiffReport(_.uniq(_.map(reports, 'indexName')).join(', '));
+
+    reports.forEach((current) => {
+      report.created = report.created.concat(current.created);
+      report.updated = report.updated.concat(current.updated);
+      report.deleted = report.deleted.concat(current.deleted);
+    });
+
+    return report;
+  }
+
+  /**
+   * Get the fields that differ between an entry and an existing object
+   * @param  {Object} entry Entry to index
+   * @param  {Object} hit   Object in the index
+   * @return {Object}       Changed fields with their old and new values
+   */
+  static getFieldDiff (entry, hit) {
+    const fields = {};
+    const keys = _.difference(_.union(_.keys(entry), _.keys(hit)), IGNORED_FIELDS);
+
+    keys.forEach((key) => {
+      if (!_.isEqual(entry[key], hit[key])) {
+        fields[key] = {
+          from: hit[key],
+          to: entry[key]
+        };
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Describe an entry or object of the index
+   * @param  {Object} object Entry or object
+   * @return {Object}        Description
+   */
+  static describe (object) {
+    return {
+      objectID: object.objectID || null,
+      id: object.id,
+      contentType: object.contentType,
+      locale: object.locale,
+      chunk: object.chunk
+    };
+  }
+
+  /**
+   * Add an entry that would be created
+   * @param  {Object} entry Entry to create
+   * @return {void}
+   */
+  addCreated (entry) {
+    this.created.push(DiffReport.describe(entry));
+  }
+
+  /**
+   * Add an entry that would be updated
+   * @param  {Object} entry Entry to update
+   * @param  {Object} hit   Current object in the index
+   * @return {void}
+   */
+  addUpdated (entry, hit) {
+    const compactEntry = _.omitBy(entry, _.isUndefined);
+
+    this.updated.push(Object.assign(DiffReport.describe(entry), {
+      fields: DiffReport.getFieldDiff(compactEntry, hit || {})
+    }));
+  }
+
+  /**
+   * Add an object that would be deleted
+   * @param  {Object} hit Object to delete
+   * @return {void}
+   */
+  addDeleted (hit) {
+    this.deleted.push(DiffReport.describe(hit));
+  }
+
+  /**
+   * Check if the report contains any changes
+   * @return {Boolean}
+   */
+  hasChanges () {
+    return this.created.length + this.updated.length + this.deleted.length > 0;
+  }
+
+  /**
+   * Plain object representation, used by `JSON.stringify`
+   * @return {Object}
+   */
+  toJSON () {
+    return {
+      indexName: this.indexName,
+      summary: {
+        created: this.created.length,
+        updated: this.updated.length,
+        deleted: this.deleted.length
+      },
+      created: this.created,
+      updated: this.updated,
+      deleted: this.deleted
+    };
+  }
+
+  /**
+   * Human-readable table of all changes
+   * @return {String}
+   */
+  toTable () {
+    const header = ['ACTION', 'OBJECT ID', 'CONTENT TYPE', 'ID', 'LOCALE', 'FIELDS'];
+    const toRow = (action, item) => [
+      action,
+      item.objectID || '-',
+      item.contentType || '-',
+      item.id || '-',
+      item.locale || '-',
+      item.fields ? _.keys(item.fields).join(', ') : ''
+    ];
+    const rows = [header]
+      .concat(this.created.map((item) => toRow('create', item)))
+      .concat(this.updated.map((item) => toRow('update', item)))
+      .concat(this.deleted.map((item) => toRow('delete', item)));
+    const widths = header.map((column, index) => {
+      return _.max(rows.map((row) => String(row[index]).length));
+    });
+    const lines = rows.map((row) => {
+      return row.map((cell, index) => _.padEnd(cell, widths[index])).join('  ').trim();
+    });
+
+    lines.push('');
+    lines.push(`${this.indexName}: ${this.created.length} created, ` +
+      `${this.updated.length} updated, ${this.deleted.length} deleted`);
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = DiffReport;
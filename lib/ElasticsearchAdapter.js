@@ -0,0 +1,342 @@
+/**
+ * Search backend for the HTTP API of Elasticsearch and OpenSearch
+ */
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const _ = require('lodash');
+const Adapter = require('./Adapter');
+const { TargetWriteError, ConfigError } = require('./Errors');
+
+const PAGE_SIZE = 1000;
+const SCROLL = '1m';
+
+/**
+ * Get an object of the index from a search hit
+ * @param  {Object} hit Hit as returned by Elasticsearch
+ * @return {Object}     Object with `objectID`
+ */
+const toObject = (hit) => Object.assign({}, hit._source, {
+  objectID: hit._id
+});
+
+/**
+ * ElasticsearchAdapter Class
+ *
+ * Stores each object as a document, its objectID is the document id
+ */
+class ElasticsearchAdapter extends Adapter {
+
+  /**
+   * Constructor
+   * @param  {Object} config           Configuration
+   * @param  {String} config.url       Base url of the cluster, may include
+   *                                   credentials
+   * @param  {Object} config.headers   Additional headers of each request,
+   *                                   e.g. for API keys
+   * @param  {String} config.idField   Field to look up entries by id, e.g.
+   *                                   `id.keyword`. Without it the whole
+   *                                   index is browsed.
+   * @param  {Boolean} config.refresh  Wait until writes are searchable
+   * @param  {String} index            Name of index
+   * @param  {String} baseIndex        Name to look up index settings with
+   * @param  {RetryPolicy} retry       Policy to retry failing requests with
+   * @param  {EventEmitter} events     Emitter of progress events
+   * @return {void}
+   */
+  constructor (config, index, baseIndex, retry, events) {
+    super(config, index, baseIndex, retry, events);
+
+    if (!config.url) {
+      throw new ConfigError('Missing url of the Elasticsearch cluster');
+    }
+
+    this.url = new URL(config.url);
+    this.path = `/${encodeURIComponent(this.indexName)}`;
+  }
+
+  /**
+   * Send a request to the cluster
+   * @param  {String}  method HTTP method
+   * @param  {String}  path   Path with query, relative to the base url
+   * @param  {Mixed}   body   Body, objects are sent as JSON
+   * @return {Promise}        Resolves with the parsed response, rejects with
+   *                          `statusCode` for failed requests
+   */
+  request (method, path, body) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const headers = Object.assign({
+      'Content-Type': typeof body === 'string' ? 'application/x-ndjson' : 'application/json'
+    }, this.config.headers);
+    const client = this.url.protocol === 'https:' ? https : http;
+
+    if (this.url.username) {
+      headers.Authorization = 'Basic ' +
+        Buffer.from(`${decodeURIComponent(this.url.username)}:${decodeURIComponent(this.url.password)}`).toString('base64');
+    }
+
+    if (body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        method,
+        protocol: this.url.protocol,
+        hostname: this.url.hostname,
+        port: this.url.port,
+        path: this.url.pathname.replace(/\/$/, '') + path,
+        headers
+      }, (res) => {
+        let data = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          let response;
+
+          try {
+            response = data ? JSON.parse(data) : {};
+          } catch (e) {
+            response = {};
+          }
+
+          if (res.statusCode >= 400) {
+            const reason = _.get(response, 'error.reason') || _.get(response, 'error') || data;
+            const error = new Error(`${method} ${path} failed with ${res.statusCode}: ` +
+              (_.isString(reason) ? reason : JSON.stringify(reason)));
+
+            error.statusCode = res.statusCode;
+            error.headers = res.headers;
+
+            return reject(error);
+          }
+
+          return resolve(response);
+        });
+      });
+
+      req.on('error', reject);
+
+      if (body !== undefined) {
+        req.write(payload);
+      }
+
+      req.end();
+    });
+  }
+
+  /**
+   * Get all objects of the index, page by page via a scroll
+   * @return {Promise} Resolves with all objects
+   */
+  browse () {
+    let objects = [];
+
+    const collect = (response) => {
+      const hits = response.hits.hits;
+
+      objects = objects.concat(hits.map(toObject));
+
+      if (hits.length < PAGE_SIZE) {
+        return this.request('DELETE', '/_search/scroll', {
+          scroll_id: response._scroll_id
+        })
+          .catch(() => null)
+          .then(() => objects);
+      }
+
+      return this.request('POST', '/_search/scroll', {
+        scroll: SCROLL,
+        scroll_id: response._scroll_id
+      }).then(collect);
+    };
+
+    return this.request('POST', `${this.path}/_search?scroll=${SCROLL}`, {
+      size: PAGE_SIZE,
+      sort: ['_doc'],
+      query: {
+        match_all: {}
+      }
+    })
+      .then(collect)
+      .catch((error) => {
+        if (error.statusCode === 404) {
+          return [];
+        }
+
+        throw error;
+      });
+  }
+
+  /**
+   * Create or replace objects in batches
+   * @param  {Array}   objects Objects to write, with or without `objectID`
+   * @return {Promise}         Resolves with the written object ids
+   */
+  upsert (objects) {
+    return this.bulk(objects, (object) => [
+      {
+        index: _.pickBy({
+          _index: this.indexName,
+          _id: object.objectID
+        })
+      },
+      _.omit(object, 'objectID')
+    ]);
+  }
+
+  /**
+   * Delete objects in batches, objects which do not exist are skipped
+   * @param  {Array}   objectIDs Ids of the objects to delete
+   * @return {Promise}
+   */
+  delete (objectIDs) {
+    return this.bulk(objectIDs, (objectID) => [
+      {
+        delete: {
+          _index: this.indexName,
+          _id: objectID
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Send bulk requests, one after another. Requests indexing documents without
+   * `_id` are only retried on rate limits, as retrying after a server or
+   * network error might index them twice.
+   * @param  {Array}    items    Objects or ids to write
+   * @param  {Function} toAction Returns the lines of the bulk request of an
+   *                             item
+   * @return {Promise}           Resolves with the ids of all written documents
+   */
+  bulk (items, toAction) {
+    const query = this.config.refresh ? '?refresh=wait_for' : '';
+
+    return _.chunk(items, this.config.batchSize || PAGE_SIZE).reduce((promise, batch) => {
+      return promise.then((ids) => {
+        const lines = _.flatMap(batch, toAction);
+        const body = lines.map((line) => `${JSON.stringify(line)}\n`).join('');
+        const hasGeneratedIds = _.some(lines, (line) => line.index && !line.index._id);
+        const isRetryable = hasGeneratedIds ? (error) => this.retry.isRateLimit(error) : undefined;
+
+        return this.retry
+          .run(() => this.request('POST', `/_bulk${query}`, body), `Writing to ${this.indexName}`, isRetryable)
+          .then((response) => {
+            const results = response.items.map((item) => _.values(item)[0]);
+            const failed = _.find(results, (result) => result.error && result.status !== 404);
+
+            if (failed) {
+              throw new TargetWriteError(`Writing to ${this.indexName} failed: ` +
+                `${failed._id}: ${_.get(failed, 'error.reason') || JSON.stringify(failed.error)}`, {
+                indexName: this.indexName
+              });
+            }
+
+            return ids.concat(_.map(results, '_id'));
+          });
+      });
+    }, Promise.resolve([]));
+  }
+
+  /**
+   * Get the settings of the index
+   * @return {Promise} Resolves with the index settings, null if there is no
+   *                   index
+   */
+  getSettings () {
+    return this.request('GET', `${this.path}/_settings`)
+      .then((response) => _.get(_.values(response)[0], 'settings.index', null))
+      .catch((error) => {
+        if (error.statusCode === 404) {
+          return null;
+        }
+
+        throw error;
+      });
+  }
+
+  /**
+   * Change settings of the index, it is created if it does not exist yet
+   * @param  {Object}  settings Index settings to change
+   * @return {Promise}
+   */
+  setSettings (settings) {
+    return this.request('PUT', `${this.path}/_settings`, {
+      index: settings
+    })
+      .catch((error) => {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+
+        return this.request('PUT', this.path, {
+          settings: {
+            index: settings
+          }
+        });
+      });
+  }
+
+  /**
+   * Compare configured settings with the current ones. Elasticsearch returns
+   * all values as strings.
+   * @param  {Object} settings Configured settings
+   * @param  {Object} current  Settings of the index
+   * @return {Object}          Changed settings with `from` and `to`
+   */
+  diffSettings (settings, current) {
+    return _.omitBy(super.diffSettings(settings, current), (change) => {
+      return !_.isObject(change.to) && change.from !== undefined && String(change.to) === String(change.from);
+    });
+  }
+
+  /**
+   * Get all objects of all locales for the given ids. With `idField` they are
+   * searched, otherwise the index is browsed.
+   * @param  {Array}   ids Ids of the objects
+   * @return {Promise}     Resolves with the found objects
+   */
+  getObjectsByIds (ids) {
+    const idField = this.config.idField;
+
+    if (!idField || this.cachedResults) {
+      return super.getObjectsByIds(ids);
+    }
+
+    return _.chunk(ids, 100).reduce((promise, batch) => {
+      return promise.then((objects) => {
+        return this.retry.run(() => this.request('POST', `${this.path}/_search`, {
+          size: 10000,
+          query: {
+            terms: {
+              [idField]: batch
+            }
+          }
+        }), `Getting objects of ${this.indexName}`)
+          .catch((error) => {
+            if (error.statusCode === 404) {
+              return {
+                hits: {
+                  hits: []
+                }
+              };
+            }
+
+            throw error;
+          })
+          .then((response) => objects.concat(response.hits.hits.map(toObject)));
+      });
+    }, Promise.resolve([]))
+      .then((objects) => _.filter(objects, (object) => _.includes(ids, object.id)));
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = ElasticsearchAdapter;
@@ -0,0 +1,85 @@
+/**
+ * Errors raised while syncing Contentful to Algolia
+ */
+
+/**
+ * Base class of all errors. Details like the content type, entry id and
+ * locale are set as properties if known.
+ */
+class SyncError extends Error {
+
+  /**
+   * Constructor
+   * @param  {String} message Error message
+   * @param  {Object} details Details like `contentType`, `entryId`, `locale`
+   *                          and the original error as `cause`
+   * @return {void}
+   */
+  constructor (message, details = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Fetching content from Contentful failed
+ */
+class ContentfulFetchError extends SyncError {}
+
+/**
+ * Writing to the search backend failed
+ */
+class TargetWriteError extends SyncError {}
+
+/**
+ * Writing to Algolia failed
+ */
+class AlgoliaWriteError extends TargetWriteError {}
+
+/**
+ * A sync would delete more objects than the configured guards allow
+ */
+class DeletionGuardError extends SyncError {}
+
+/**
+ * The configuration is invalid
+ */
+class ConfigError extends SyncError {}
+
+/**
+ * Get the message of any error, including plain error objects as thrown by
+ * the Contentful client
+ * @param  {Mixed}  error Error
+ * @return {String}       Message
+ */
+const getMessage = (error) => {
+  if (!error) {
+    return 'Unknown error';
+  }
+
+  if (error.message) {
+    return error.message;
+  }
+
+  if (error.sys && error.sys.id) {
+    return error.sys.id;
+  }
+
+  return String(error);
+};
+
+/**
+ * Exports
+ * @type {Object}
+ */
+module.exports = {
+  SyncError,
+  ContentfulFetchError,
+  TargetWriteError,
+  AlgoliaWriteError,
+  DeletionGuardError,
+  ConfigError,
+  getMessage
+};
@@ -0,0 +1,220 @@
+/**
+ * Search backend which keeps an index in a local JSON or NDJSON file, e.g. to
+ * test syncs without a search service
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const Adapter = require('./Adapter');
+const { ConfigError } = require('./Errors');
+
+const FORMATS = ['ndjson', 'json'];
+
+/**
+ * Pending writes by file, so concurrent writes to a file do not overwrite
+ * each other
+ * @type {Object}
+ */
+const queues = {};
+
+/**
+ * Read a file
+ * @param  {String}  filePath Path of the file
+ * @return {Promise}          Resolves with the content, null if there is no
+ *                            file
+ */
+const readFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (error, data) => {
+      if (error && error.code === 'ENOENT') {
+        return resolve(null);
+      }
+
+      if (error) {
+        return reject(error);
+      }
+
+      return resolve(data);
+    });
+  });
+};
+
+/**
+ * Write a file through a temporary file, so readers never see a partial file
+ * @param  {String}  filePath Path of the file
+ * @param  {String}  data     Content to write
+ * @return {Promise}
+ */
+const writeFile = (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+
+  return new Promise((resolve, reject) => {
+    fs.mkdir(path.dirname(filePath), {
+      recursive: true
+    }, () => {
+      fs.writeFile(tmpPath, data, (error) => {
+        if (error) {
+          return reject(error);
+        }
+
+        fs.rename(tmpPath, filePath, (renameError) => {
+          if (renameError) {
+            return reject(renameError);
+          }
+
+          return resolve();
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Run a change of a file after all pending changes of it
+ * @param  {String}   filePath Path of the file
+ * @param  {Function} change   Function returning a Promise
+ * @return {Promise}           Resolves like the change
+ */
+const enqueue = (filePath, change) => {
+  const promise = (queues[filePath] || Promise.resolve()).then(change);
+
+  queues[filePath] = promise.catch(() => {});
+
+  return promise;
+};
+
+/**
+ * FileAdapter Class
+ *
+ * Writes the objects of each index to `<directory>/<index>.<format>` and its
+ * settings to `<directory>/<index>.settings.json`
+ */
+class FileAdapter extends Adapter {
+
+  /**
+   * Constructor
+   * @param  {Object} config           Configuration
+   * @param  {String} config.directory Directory of the files, defaults to the
+   *                                   working directory
+   * @param  {String} config.format    `ndjson` (default) or `json`
+   * @param  {String} index            Name of index
+   * @param  {String} baseIndex        Name to look up index settings with
+   * @param  {RetryPolicy} retry       Policy to retry failing requests with
+   * @param  {EventEmitter} events     Emitter of progress events
+   * @return {void}
+   */
+  constructor (config, index, baseIndex, retry, events) {
+    super(config, index, baseIndex, retry, events);
+
+    const format = config.format || 'ndjson';
+    const directory = config.directory || '.';
+
+    if (!_.includes(FORMATS, format)) {
+      throw new ConfigError(`Invalid format "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+
+    this.format = format;
+    this.filePath = path.resolve(directory, `${this.indexName}.${format}`);
+    this.settingsPath = path.resolve(directory, `${this.indexName}.settings.json`);
+  }
+
+  /**
+   * Get all objects of the index
+   * @return {Promise} Resolves with all objects
+   */
+  browse () {
+    return readFile(this.filePath)
+      .then((data) => {
+        if (!data) {
+          return [];
+        }
+
+        if (this.format === 'json') {
+          return JSON.parse(data);
+        }
+
+        return data.split('\n')
+          .filter((line) => line.trim().length > 0)
+          .map((line) => JSON.parse(line));
+      });
+  }
+
+  /**
+   * Create or replace objects
+   * @param  {Array}   objects Objects to write, with or without `objectID`
+   * @return {Promise}         Resolves with the written object ids
+   */
+  upsert (objects) {
+    const written = objects.map((object) => {
+      return Object.assign({}, object, {
+        objectID: object.objectID || crypto.randomBytes(8).toString('hex')
+      });
+    });
+    const writtenById = _.keyBy(written, 'objectID');
+
+    return this.update((existing) => {
+      return _.reject(existing, (object) => writtenById[object.objectID]).concat(written);
+    }).then(() => _.map(written, 'objectID'));
+  }
+
+  /**
+   * Delete objects
+   * @param  {Array}   objectIDs Ids of the objects to delete
+   * @return {Promise}
+   */
+  delete (objectIDs) {
+    const deleted = _.keyBy(objectIDs);
+
+    return this.update((existing) => _.reject(existing, (object) => deleted[object.objectID]));
+  }
+
+  /**
+   * Change the objects of the file after all pending changes
+   * @param  {Function} change Called with all objects, returns the new ones
+   * @return {Promise}
+   */
+  update (change) {
+    return enqueue(this.filePath, () => {
+      return this.browse()
+        .then((objects) => {
+          const updated = change(objects);
+
+          if (this.format === 'json') {
+            return writeFile(this.filePath, JSON.stringify(updated, null, 2));
+          }
+
+          return writeFile(this.filePath, updated.map((object) => `${JSON.stringify(object)}\n`).join(''));
+        });
+    });
+  }
+
+  /**
+   * Get the settings of the index
+   * @return {Promise} Resolves with the settings, null if there are none
+   */
+  getSettings () {
+    return readFile(this.settingsPath)
+      .then((data) => data ? JSON.parse(data) : null);
+  }
+
+  /**
+   * Change settings of the index
+   * @param  {Object}  settings Settings to change
+   * @return {Promise}
+   */
+  setSettings (settings) {
+    return enqueue(this.settingsPath, () => {
+      return this.getSettings()
+        .then((current) => {
+          return writeFile(this.settingsPath, JSON.stringify(Object.assign({}, current, settings), null, 2));
+        });
+    });
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = FileAdapter;
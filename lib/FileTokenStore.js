@@ -0,0 +1,84 @@
+/**
+ * Store for Contentful sync tokens which persists them in a JSON file on disk
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FileTokenStore Class
+ *
+ * Any object implementing `get(key)` and `set(key, token)`, both returning a
+ * Promise, can be used as a replacement.
+ */
+class FileTokenStore {
+
+  /**
+   * Constructor
+   * @param  {String} filePath Path of the file to store tokens in
+   * @return {void}
+   */
+  constructor (filePath = '.contentful-sync-tokens.json') {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Read all stored tokens
+   * @return {Promise} Resolves with an object of tokens by key
+   */
+  read () {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.filePath, 'utf8', (error, data) => {
+        if (error && error.code === 'ENOENT') {
+          return resolve({});
+        }
+
+        if (error) {
+          return reject(error);
+        }
+
+        try {
+          return resolve(JSON.parse(data));
+        } catch (parseError) {
+          return reject(parseError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the token for a key
+   * @param  {String}  key Key of the token
+   * @return {Promise}     Resolves with the token or null
+   */
+  get (key) {
+    return this.read().then((tokens) => tokens[key] || null);
+  }
+
+  /**
+   * Store the token for a key
+   * @param  {String}  key   Key of the token
+   * @param  {String}  token Token to store
+   * @return {Promise}
+   */
+  set (key, token) {
+    return this.read().then((tokens) => {
+      tokens[key] = token;
+
+      return new Promise((resolve, reject) => {
+        fs.writeFile(this.filePath, JSON.stringify(tokens, null, 2), (error) => {
+          if (error) {
+            return reject(error);
+          }
+
+          return resolve(token);
+        });
+      });
+    });
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = FileTokenStore;
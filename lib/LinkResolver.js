@@ -0,0 +1,333 @@
+/**
+ * Localize Contentful entries including their linked entries and assets
+ */
+const _ = require('lodash');
+const RichText = require('./RichText');
+const { ConfigError } = require('./Errors');
+
+const DEFAULT_INCLUDE = 2;
+
+/**
+ * Content type of asset records
+ * @type {String}
+ */
+const ASSET_CONTENT_TYPE = 'Asset';
+
+/**
+ * Maximum include depth supported by Contentful
+ * @type {Number}
+ */
+const MAX_INCLUDE = 10;
+
+/**
+ * Meta data of top-level entries which is not indexed
+ * @type {Array}
+ */
+const OMITTED_SYS_FIELDS = ['space', 'contentType', 'type', 'revision'];
+
+/**
+ * Check if an include depth is valid
+ * @param  {Mixed}   include Depth to check
+ * @return {Boolean}
+ */
+const isValidInclude = (include) => {
+  return _.isInteger(include) && include >= 0 && include <= MAX_INCLUDE;
+};
+
+const RICH_TEXT_DEFAULTS = {
+  html: false,
+  embedded: 'summary',
+  maxTextLength: 0,
+  maxHtmlLength: 0
+};
+
+const EMBEDDED_MODES = ['summary', 'inline', 'none'];
+
+/**
+ * Validate and normalize the Rich Text options
+ * @param  {Mixed}  richText `true` or an object of options, Rich Text is not
+ *                           converted if falsy
+ * @return {Object}          Options, null if Rich Text is not converted
+ */
+const getRichTextOptions = (richText) => {
+  if (!richText) {
+    return null;
+  }
+
+  const options = _.defaults({}, _.isPlainObject(richText) ? richText : {}, RICH_TEXT_DEFAULTS);
+
+  if (!_.includes(EMBEDDED_MODES, options.embedded)) {
+    throw new ConfigError(`Invalid richText: unknown embedded "${options.embedded}", ` +
+      `expected one of ${EMBEDDED_MODES.join(', ')}`);
+  }
+
+  _.each(['maxTextLength', 'maxHtmlLength'], (key) => {
+    if (!_.isInteger(options[key]) || options[key] < 0) {
+      throw new ConfigError(`Invalid richText: \`${key}\` must be an integer of at least 0`);
+    }
+  });
+
+  return options;
+};
+
+/**
+ * LinkResolver Class
+ */
+class LinkResolver {
+
+  /**
+   * Constructor, validates the options
+   * @param  {Object}  options                      Options
+   * @param  {Number}  options.include              Levels of links to resolve
+   * @param  {Object}  options.includeByContentType Levels by content type
+   * @param  {Boolean} options.compactAssets        Resolve linked assets to
+   *                                                `{url, title, width, height}`
+   * @param  {Object}  options.assetImageParams     Query parameters added to
+   *                                                the URL of compact images
+   * @param  {Object}  options.richText             Convert Rich Text documents
+   *                                                to text and HTML
+   * @return {void}
+   */
+  constructor (options = {}) {
+    const include = _.isUndefined(options.include) ? DEFAULT_INCLUDE : options.include;
+    const includeByContentType = options.includeByContentType || {};
+
+    if (!isValidInclude(include)) {
+      throw new ConfigError(`Invalid include: expected an integer from 0 to ${MAX_INCLUDE}`);
+    }
+
+    if (!_.isPlainObject(includeByContentType)) {
+      throw new ConfigError('Invalid includeByContentType: expected an object with content types as keys');
+    }
+
+    _.each(includeByContentType, (value, contentType) => {
+      if (!isValidInclude(value)) {
+        throw new ConfigError(`Invalid includeByContentType for content type "${contentType}": ` +
+          `expected an integer from 0 to ${MAX_INCLUDE}`);
+      }
+    });
+
+    if (options.assetImageParams && !_.isPlainObject(options.assetImageParams)) {
+      throw new ConfigError('Invalid assetImageParams: expected an object of query parameters');
+    }
+
+    this.include = include;
+    this.includeByContentType = includeByContentType;
+    this.compactAssets = !!options.compactAssets;
+    this.assetImageParams = options.assetImageParams || null;
+    this.richText = getRichTextOptions(options.richText);
+  }
+
+  /**
+   * Get the URL of an asset file including protocol and query parameters
+   * @param  {String} url    URL as returned by Contentful, e.g. `//images...`
+   * @param  {Object} params Query parameters to add
+   * @return {String}        URL
+   */
+  static getAssetUrl (url, params) {
+    if (!url) {
+      return undefined;
+    }
+
+    if (url.indexOf('//') === 0) {
+      url = `https:${url}`;
+    }
+
+    if (_.isEmpty(params)) {
+      return url;
+    }
+
+    const query = _.map(params, (value, key) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+  }
+
+  /**
+   * Get the levels of links to resolve for a content type
+   * @param  {String} contentType Content type id
+   * @return {Number}
+   */
+  getInclude (contentType) {
+    return _.has(this.includeByContentType, contentType) ? this.includeByContentType[contentType] : this.include;
+  }
+
+  /**
+   * Localize an entry with all locales as returned by Contentful
+   * @param  {Object} entry  Entry with fields of all locales
+   * @param  {Array}  locale Locale codes to look for, in order
+   * @return {Object}        Entry with its meta data and localized fields
+   */
+  localize (entry, locale) {
+    const contentType = this.getContentType(entry);
+    const fields = this.getFields(entry.fields, locale, this.getInclude(contentType), [entry.sys.id]);
+
+    return Object.assign(_.omit(entry.sys, OMITTED_SYS_FIELDS), fields, {
+      contentType,
+      locale: locale[0]
+    });
+  }
+
+  /**
+   * Localize an asset with all locales as returned by Contentful
+   * @param  {Object} asset  Asset with fields of all locales
+   * @param  {Array}  locale Locale codes to look for, in order
+   * @return {Object}        Asset record with file details
+   */
+  localizeAsset (asset, locale) {
+    const fields = this.getFields(asset.fields, locale, 0, [asset.sys.id]);
+    const file = fields.file || {};
+    const details = file.details || {};
+    const image = details.image || {};
+
+    return Object.assign(_.omit(asset.sys, OMITTED_SYS_FIELDS), {
+      title: fields.title,
+      description: fields.description,
+      url: LinkResolver.getAssetUrl(file.url),
+      fileName: file.fileName,
+      mimeType: file.contentType,
+      size: details.size,
+      width: image.width,
+      height: image.height,
+      contentType: ASSET_CONTENT_TYPE,
+      locale: locale[0]
+    });
+  }
+
+  /**
+   * Get the compact form of a linked asset
+   * @param  {Object} asset  Asset with fields of all locales
+   * @param  {Array}  locale Locale codes to look for, in order
+   * @return {Object}        Object with `url`, `title`, `width` and `height`
+   */
+  getCompactAsset (asset, locale) {
+    const record = this.localizeAsset(asset, locale);
+    const isImage = _.startsWith(record.mimeType, 'image/');
+
+    return {
+      url: LinkResolver.getAssetUrl(record.url, isImage ? this.assetImageParams : null),
+      title: record.title,
+      width: record.width,
+      height: record.height
+    };
+  }
+
+  /**
+   * Localize fields and resolve the links in them. Rich Text documents are
+   * converted to text, with `<field>Html` next to them if enabled.
+   * @param  {Object} fields Fields of all locales
+   * @param  {Array}  locale Locale codes to look for, in order
+   * @param  {Number} depth  Levels of links left to resolve
+   * @param  {Array}  path   Ids of the entries on the way to these fields
+   * @return {Object}        Localized fields
+   */
+  getFields (fields, locale, depth, path) {
+    const localized = {};
+
+    _.each(fields, (field, key) => {
+      const value = this.resolve(this.getLocaleValue(field, locale), locale, depth, path);
+
+      if (!this.richText || !RichText.isDocument(value)) {
+        localized[key] = value;
+
+        return;
+      }
+
+      localized[key] = RichText.truncate(RichText.toPlainText(value, this.richText), this.richText.maxTextLength);
+
+      if (this.richText.html) {
+        localized[`${key}Html`] = RichText.toHtml(value, {
+          embedded: this.richText.embedded,
+          maxLength: this.richText.maxHtmlLength
+        });
+      }
+    });
+
+    return localized;
+  }
+
+  /**
+   * Resolve links in a localized value. Linked entries beyond the depth, which
+   * are already on the path (cycles) or were not included by Contentful are
+   * replaced by a stub with `id` and `contentType`.
+   * @param  {Mixed}  value  Localized value
+   * @param  {Array}  locale Locale codes to look for, in order
+   * @param  {Number} depth  Levels of links left to resolve
+   * @param  {Array}  path   Ids of the entries on the way to this value
+   * @return {Mixed}         Resolved value
+   */
+  resolve (value, locale, depth, path) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.resolve(item, locale, depth, path));
+    }
+
+    if (!_.isPlainObject(value)) {
+      return value;
+    }
+
+    if (!value.sys) {
+      // Objects like Rich Text documents and JSON fields may hold links as well
+      return _.mapValues(value, (item) => this.resolve(item, locale, depth, path));
+    }
+
+    const stub = this.getStub(value);
+
+    if (!value.fields || depth <= 0 || _.includes(path, value.sys.id)) {
+      return stub;
+    }
+
+    if (this.compactAssets && value.sys.type === 'Asset') {
+      return this.getCompactAsset(value, locale);
+    }
+
+    return Object.assign(stub, this.getFields(value.fields, locale, depth - 1, path.concat(value.sys.id)));
+  }
+
+  /**
+   * Get the reference to a linked entry or asset
+   * @param  {Object} link Entry, asset or unresolved link
+   * @return {Object}      Object with `id` and `contentType` of entries
+   */
+  getStub (link) {
+    return _.omitBy({
+      id: link.sys.id,
+      contentType: this.getContentType(link)
+    }, _.isUndefined);
+  }
+
+  /**
+   * Get the content type id of an entry
+   * @param  {Object} entry Entry or asset with `sys`
+   * @return {String}       Content type id, `Asset` for assets and undefined
+   *                        for unresolved links
+   */
+  getContentType (entry) {
+    if (entry.sys.type === 'Asset') {
+      return ASSET_CONTENT_TYPE;
+    }
+
+    if (!entry.sys.contentType) {
+      return undefined;
+    }
+
+    return entry.sys.contentType.sys.id;
+  }
+
+  /**
+   * Get the value of the first locale code a field has a value for
+   * @param  {Object} field  Field with values by locale code
+   * @param  {Array}  locale Locale codes to look for, in order
+   * @return {Mixed}         Localized value
+   */
+  getLocaleValue (field, locale) {
+    const code = _.find(locale, (code) => field && field[code] !== undefined);
+
+    return code ? field[code] : undefined;
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = LinkResolver;
+module.exports.ASSET_CONTENT_TYPE = ASSET_CONTENT_TYPE;
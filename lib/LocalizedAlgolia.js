@@ -0,0 +1,179 @@
+/**
+ * Route localized elements to one Algolia index per locale
+ */
+const _ = require('lodash');
+const Algolia = require('./Algolia');
+const DiffReport = require('./DiffReport');
+const { ConfigError } = require('./Errors');
+
+/**
+ * LocalizedAlgolia Class
+ *
+ * Provides the same indexing methods as `Algolia`, but writes each element to
+ * `<prefix><index>_<localeSuffix>` depending on its locale. The suffix is the
+ * second element of each configured locale, e.g. `en` for `['en-US', 'en']`.
+ */
+class LocalizedAlgolia {
+
+  /**
+   * Constructor
+   * @param  {Object} config  Configuration
+   * @param  {String} index   Name of index without locale suffix
+   * @param  {Array}  locales Configured locales
+   * @param  {RetryPolicy} retry Policy to retry failing requests with
+   * @param  {Function} Adapter Class of the search backend
+   * @param  {EventEmitter} events Emitter of progress events
+   * @return {void}
+   */
+  constructor (config, index, locales, retry, Adapter = Algolia, events = null) {
+    if (!locales || locales.length === 0) {
+      throw new ConfigError('An index per locale requires `locales` to be configured');
+    }
+
+    this.indices = {};
+
+    locales.forEach((locale) => {
+      this.indices[locale[0]] = new Adapter(config, `${index}_${locale[1] || locale[0]}`, index, retry, events);
+    });
+
+    this.indexName = _.map(this.indices, 'indexName').join(', ');
+    this.dryRun = !!config.dryRun;
+  }
+
+  /**
+   * Get the names of all locale indices
+   * @return {Array} Index names
+   */
+  getIndexNames () {
+    return _.map(this.indices, 'indexName');
+  }
+
+  /**
+   * Index any data for a specific type in the index of its locale
+   * @param  {Object}  data        All elements that should be indexed
+   * @param  {String}  contentType Current content type that is being indexed
+   * @param  {boolean} isSingle    Is it a single entry update
+   * @param  {String}  source      Name of the Contentful source
+   * @return {Promise}
+   */
+  indexData (data, contentType, isSingle = false, source = undefined) {
+    if (isSingle) {
+      return this.indexChanges(data, [], source);
+    }
+
+    const dataByLocale = _.groupBy(data, 'locale');
+
+    return this.forEachIndex((algolia, locale) => {
+      return algolia.indexData(dataByLocale[locale] || [], contentType, isSingle, source);
+    });
+  }
+
+  /**
+   * Index changed elements and remove deleted ones in all locale indices.
+   * Changed elements without an element of a locale, e.g. because it is
+   * filtered, are removed from the index of that locale.
+   * @param  {Array}   data       Changed elements that should be indexed
+   * @param  {Array}   deletedIds Ids of elements that should be removed
+   * @param  {String}  source     Name of the Contentful source
+   * @return {Promise}
+   */
+  indexChanges (data, deletedIds = [], source = undefined) {
+    const dataByLocale = _.groupBy(data, 'locale');
+    const ids = _.uniq(_.map(data, 'id'));
+
+    return this.forEachIndex((algolia, locale) => {
+      const localeData = dataByLocale[locale] || [];
+      const missingIds = _.difference(ids, _.map(localeData, 'id'));
+
+      return algolia.indexChanges(localeData, deletedIds.concat(missingIds), source);
+    });
+  }
+
+  /**
+   * Remove the given entries from all locale indices
+   * @param  {Array}   ids         Ids of the entries
+   * @param  {String}  contentType Only remove objects of this content type
+   * @param  {String}  source      Only remove objects of this source
+   * @return {Promise}
+   */
+  removeEntries (ids, contentType, source) {
+    return this.forEachIndex((algolia) => algolia.removeEntries(ids, contentType, source));
+  }
+
+  /**
+   * Replace all objects of each locale index without downtime
+   * @param  {Array}   data All elements of the indices
+   * @return {Promise}
+   */
+  reindex (data) {
+    const dataByLocale = _.groupBy(data, 'locale');
+
+    return this.forEachIndex((algolia, locale) => algolia.reindex(dataByLocale[locale] || []));
+  }
+
+  /**
+   * Replace the locale indices of another instance with the ones of this
+   * instance
+   * @param  {LocalizedAlgolia} target Indices to replace
+   * @return {Promise}
+   */
+  promoteTo (target) {
+    return this.forEachIndex((algolia, locale) => algolia.promoteTo(target.indices[locale]));
+  }
+
+  /**
+   * Rewrite the objects of all locale indices to deterministic objectIDs
+   * @return {Promise}
+   */
+  migrateObjectIds () {
+    return this.forEachIndex((algolia) => algolia.migrateObjectIds());
+  }
+
+  /**
+   * Report or delete orphans of all locale indices, see `Adapter.prune`
+   * @param  {Function} isOrphan Called with each object
+   * @param  {Object}   options  Options like `remove` and `maxPercent`
+   * @return {Promise}           Resolves with a DiffReport of the orphans
+   */
+  prune (isOrphan, options) {
+    const promises = _.map(this.indices, (algolia) => algolia.prune(isOrphan, options));
+
+    return Promise.all(promises).then(DiffReport.merge);
+  }
+
+  /**
+   * Apply the configured settings to all locale indices. Settings configured
+   * for the name without locale suffix apply to all of them.
+   * @return {Promise} Resolves with the diff of each index
+   */
+  syncSettings () {
+    const promises = _.map(this.indices, (algolia) => algolia.syncSettings());
+
+    return Promise.all(promises).then(_.flatten);
+  }
+
+  /**
+   * Run an operation on the index of each locale
+   * @param  {Function} operation Called with the index and its locale
+   * @return {Promise}            Resolves with the indexed object ids or with
+   *                              a DiffReport in dry-run mode
+   */
+  forEachIndex (operation) {
+    const promises = _.map(this.indices, (algolia, locale) => operation(algolia, locale));
+
+    return Promise.all(promises)
+      .then((results) => {
+        if (this.dryRun) {
+          return DiffReport.merge(results);
+        }
+
+        return _.flatten(results);
+      });
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = LocalizedAlgolia;
@@ -0,0 +1,219 @@
+/**
+ * Declarative field mapping and transformation per content type
+ */
+const _ = require('lodash');
+const RichText = require('./RichText');
+const LinkResolver = require('./LinkResolver');
+const { ConfigError } = require('./Errors');
+
+/**
+ * Fields every mapped record keeps, as they are needed to diff the index
+ * @type {Array}
+ */
+const SYSTEM_FIELDS = ['id', 'locale', 'contentType', 'source', 'status'];
+
+/**
+ * Strip Markdown syntax from a string
+ * @param  {String} markdown Markdown
+ * @return {String}          Plain text
+ */
+const markdownToText = (markdown) => {
+  return String(markdown)
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^ {0,3}#{1,6}\s+/gm, '')
+    .replace(/^ {0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/(^|\W)[*_]([^*_\n]+)[*_](?=\W|$)/g, '$1$2')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Get the URL of a localized asset
+ * @param  {Object} asset Asset, compact assets hold the URL themselves
+ * @return {String}       URL including protocol
+ */
+const assetToUrl = (asset) => {
+  if (asset && asset.url) {
+    return LinkResolver.getAssetUrl(asset.url);
+  }
+
+  const file = asset && (asset.file || (asset.fields && asset.fields.file));
+
+  return LinkResolver.getAssetUrl(file && file.url);
+};
+
+/**
+ * Available transformations, arrays are transformed item by item
+ * @type {Object}
+ */
+const TRANSFORMS = {
+  richText: (value) => _.isString(value) ? value : RichText.toPlainText(value),
+  markdown: markdownToText,
+  assetUrl: assetToUrl
+};
+
+/**
+ * Get a value by a path like `author.name`. Arrays on the way are mapped.
+ * @param  {Mixed} value Value to read from
+ * @param  {Array} path  Keys to follow
+ * @return {Mixed}       Found value
+ */
+const getPath = (value, path) => {
+  if (path.length === 0 || value === undefined || value === null) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return _.flatMap(value, (item) => getPath(item, path))
+      .filter((item) => item !== undefined);
+  }
+
+  return getPath(value[path[0]], path.slice(1));
+};
+
+/**
+ * Mapping Class
+ */
+class Mapping {
+
+  /**
+   * Constructor, validates the given mappings
+   * @param  {Object} mappings Mapping config by content type
+   * @return {void}
+   */
+  constructor (mappings = {}) {
+    if (!_.isPlainObject(mappings)) {
+      throw new ConfigError('Invalid mappings: expected an object with content types as keys');
+    }
+
+    this.mappings = _.mapValues(mappings, (mapping, contentType) => {
+      return this.normalizeMapping(mapping, contentType);
+    });
+  }
+
+  /**
+   * Validate and normalize the mapping of a content type
+   * @param  {Object} mapping     Mapping of the content type
+   * @param  {String} contentType Content type id
+   * @return {Object}             Normalized mapping
+   */
+  normalizeMapping (mapping, contentType) {
+    if (!_.isPlainObject(mapping) || !_.isPlainObject(mapping.fields)) {
+      throw new ConfigError(`Invalid mapping for content type "${contentType}": expected an object with \`fields\``);
+    }
+
+    return {
+      fields: _.mapValues(mapping.fields, (spec, field) => {
+        return this.normalizeField(spec, field, contentType);
+      })
+    };
+  }
+
+  /**
+   * Validate and normalize the mapping of a single field
+   * @param  {Mixed}  spec        `true`, a source path, a function or an
+   *                              object with `from`, `type` and `compute`
+   * @param  {String} field       Name of the field in the record
+   * @param  {String} contentType Content type id
+   * @return {Object}             Normalized field mapping
+   */
+  normalizeField (spec, field, contentType) {
+    const fail = (message) => {
+      throw new ConfigError(`Invalid mapping for content type "${contentType}", field "${field}": ${message}`);
+    };
+
+    if (spec === true) {
+      spec = {
+        from: field
+      };
+    } else if (typeof spec === 'string') {
+      spec = {
+        from: spec
+      };
+    } else if (typeof spec === 'function') {
+      spec = {
+        compute: spec
+      };
+    } else if (!_.isPlainObject(spec)) {
+      fail('expected `true`, a source path, a function or an object');
+    }
+
+    const unknownKeys = _.difference(_.keys(spec), ['from', 'type', 'compute']);
+
+    if (unknownKeys.length > 0) {
+      fail(`unknown option "${unknownKeys[0]}"`);
+    }
+
+    if (spec.compute !== undefined && typeof spec.compute !== 'function') {
+      fail('`compute` must be a function');
+    }
+
+    if (spec.compute && spec.from !== undefined) {
+      fail('use either `from` or `compute`');
+    }
+
+    if (spec.from !== undefined && (typeof spec.from !== 'string' || spec.from.length === 0)) {
+      fail('`from` must be a non-empty string');
+    }
+
+    if (spec.type !== undefined && !TRANSFORMS[spec.type]) {
+      fail(`unknown type "${spec.type}", expected one of ${_.keys(TRANSFORMS).join(', ')}`);
+    }
+
+    return {
+      path: spec.compute ? null : (spec.from || field).split('.'),
+      type: spec.type,
+      compute: spec.compute
+    };
+  }
+
+  /**
+   * Check if a content type is mapped
+   * @param  {String}  contentType Content type id
+   * @return {Boolean}
+   */
+  has (contentType) {
+    return !!this.mappings[contentType];
+  }
+
+  /**
+   * Map a localized entry to a record. Entries of content types without a
+   * mapping are returned as they are.
+   * @param  {Object} entry Localized entry
+   * @return {Object}       Record to index
+   */
+  apply (entry) {
+    const mapping = this.mappings[entry.contentType];
+
+    if (!mapping) {
+      return entry;
+    }
+
+    const record = _.pick(entry, SYSTEM_FIELDS);
+
+    _.each(mapping.fields, (spec, field) => {
+      let value = spec.compute ? spec.compute(entry) : getPath(entry, spec.path);
+
+      if (spec.type && value !== undefined && value !== null) {
+        value = Array.isArray(value) ? value.map(TRANSFORMS[spec.type]) : TRANSFORMS[spec.type](value);
+      }
+
+      if (value !== undefined) {
+        record[field] = value;
+      }
+    });
+
+    return record;
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = Mapping;
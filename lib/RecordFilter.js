@@ -0,0 +1,147 @@
+/**
+ * Decide which localized entries are indexed
+ */
+const _ = require('lodash');
+const { ConfigError } = require('./Errors');
+
+/**
+ * Get a date to compare with, `now` is the current time
+ * @param  {Mixed} value Date, ISO string, timestamp or `now`
+ * @return {Date}
+ */
+const toDate = (value) => value === 'now' ? new Date() : new Date(value);
+
+/**
+ * Check if a value is set
+ * @param  {Mixed}   value Value to check
+ * @return {Boolean}
+ */
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Available operators, called with the value of the field and the expected
+ * value of the condition. Dates are only compared if they are set, combine
+ * them with `exists` to require them.
+ * @type {Object}
+ */
+const OPERATORS = {
+  equals: (value, expected) => _.isEqual(value, expected),
+  not: (value, expected) => !_.isEqual(value, expected),
+  in: (value, expected) => _.some(expected, (item) => _.isEqual(value, item)),
+  notIn: (value, expected) => !_.some(expected, (item) => _.isEqual(value, item)),
+  includes: (value, expected) => _.includes(_.castArray(isSet(value) ? value : []), expected),
+  excludes: (value, expected) => !_.includes(_.castArray(isSet(value) ? value : []), expected),
+  exists: (value, expected) => isSet(value) === !!expected,
+  before: (value, expected) => !isSet(value) || toDate(value) < toDate(expected),
+  after: (value, expected) => !isSet(value) || toDate(value) > toDate(expected)
+};
+
+/**
+ * RecordFilter Class
+ */
+class RecordFilter {
+
+  /**
+   * Constructor, validates the given filters
+   * @param  {Object}   filters     Conditions by content type, each an object
+   *                                of operators by field path
+   * @param  {Function} shouldIndex Predicate called with each localized entry
+   *                                and the entry as returned by Contentful
+   * @return {void}
+   */
+  constructor (filters = {}, shouldIndex = null) {
+    if (!_.isPlainObject(filters)) {
+      throw new ConfigError('Invalid filters: expected an object with content types as keys');
+    }
+
+    if (shouldIndex && typeof shouldIndex !== 'function') {
+      throw new ConfigError('Invalid shouldIndex: expected a function');
+    }
+
+    _.each(filters, (conditions, contentType) => this.validate(conditions, contentType));
+
+    this.filters = filters;
+    this.shouldIndex = shouldIndex;
+  }
+
+  /**
+   * Validate the conditions of a content type
+   * @param  {Object} conditions  Operators by field path
+   * @param  {String} contentType Content type id
+   * @return {void}
+   */
+  validate (conditions, contentType) {
+    if (!_.isPlainObject(conditions)) {
+      throw new ConfigError(`Invalid filters for content type "${contentType}": expected an object with fields as keys`);
+    }
+
+    _.each(conditions, (condition, field) => {
+      const fail = (message) => {
+        throw new ConfigError(`Invalid filters for content type "${contentType}", field "${field}": ${message}`);
+      };
+
+      if (!_.isPlainObject(condition) || _.isEmpty(condition)) {
+        fail('expected an object of operators');
+      }
+
+      _.each(condition, (expected, operator) => {
+        if (!OPERATORS[operator]) {
+          fail(`unknown operator "${operator}", expected one of ${_.keys(OPERATORS).join(', ')}`);
+        }
+
+        if ((operator === 'in' || operator === 'notIn') && !Array.isArray(expected)) {
+          fail(`\`${operator}\` expects an array`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check if a localized entry should be indexed
+   * @param  {Object}  record Localized entry
+   * @param  {Object}  entry  Entry as returned by Contentful
+   * @return {Boolean}
+   */
+  accepts (record, entry = {}) {
+    const conditions = this.filters[record.contentType] || {};
+    const matches = _.every(conditions, (condition, field) => {
+      const value = this.getValue(record, entry, field);
+
+      return _.every(condition, (expected, operator) => OPERATORS[operator](value, expected));
+    });
+
+    if (!matches) {
+      return false;
+    }
+
+    return !this.shouldIndex || !!this.shouldIndex(record, entry);
+  }
+
+  /**
+   * Get the value of a field. Paths starting with `metadata.` are read from
+   * the Contentful metadata, in which tags are reduced to their ids.
+   * @param  {Object} record Localized entry
+   * @param  {Object} entry  Entry as returned by Contentful
+   * @param  {String} field  Path of the field, e.g. `author.name`
+   * @return {Mixed}         Value
+   */
+  getValue (record, entry, field) {
+    if (field.indexOf('metadata.') !== 0) {
+      return _.get(record, field);
+    }
+
+    const metadata = Object.assign({}, entry.metadata, {
+      tags: _.map(entry.metadata && entry.metadata.tags, 'sys.id')
+    });
+
+    return _.get({
+      metadata
+    }, field);
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = RecordFilter;
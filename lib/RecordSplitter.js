@@ -0,0 +1,253 @@
+/**
+ * Split records which exceed Algolia's record size limit into chunks
+ */
+const _ = require('lodash');
+const RichText = require('./RichText');
+const { SyncError, ConfigError } = require('./Errors');
+
+const DEFAULTS = {
+  by: 'size',
+  maxRecordBytes: 10000,
+  distinctAttribute: 'distinctId'
+};
+
+/**
+ * Placeholder reserving space for the objectID Algolia adds to each record
+ * @type {String}
+ */
+const OBJECT_ID_PLACEHOLDER = _.repeat('x', 64);
+
+/**
+ * Get the size of a record as stored by Algolia
+ * @param  {Object} record Record to measure
+ * @return {Number}        Size in bytes
+ */
+const getRecordSize = (record) => {
+  return Buffer.byteLength(JSON.stringify(Object.assign({
+    objectID: OBJECT_ID_PLACEHOLDER
+  }, record)));
+};
+
+/**
+ * Get the size of a value once it is serialized as JSON string
+ * @param  {String} text Text to measure
+ * @return {Number}      Size in bytes
+ */
+const getSize = (text) => Buffer.byteLength(JSON.stringify(text)) - 2;
+
+/**
+ * Join pieces to chunks which stay within the budget
+ * @param  {Array}  pieces    Pieces of text, each within the budget
+ * @param  {String} separator Separator between pieces
+ * @param  {Number} budget    Maximum size of a chunk
+ * @return {Array}            Chunks
+ */
+const pack = (pieces, separator, budget) => {
+  const chunks = [];
+  let current = null;
+
+  pieces.forEach((piece) => {
+    if (current !== null && getSize(current + separator + piece) <= budget) {
+      current += separator + piece;
+    } else {
+      if (current !== null) {
+        chunks.push(current);
+      }
+
+      current = piece;
+    }
+  });
+
+  if (current !== null) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
+
+/**
+ * Cut a word into pieces which stay within the budget
+ * @param  {String} word   Word to cut
+ * @param  {Number} budget Maximum size of a piece
+ * @return {Array}         Pieces
+ */
+const cutWord = (word, budget) => {
+  const pieces = [];
+  let current = '';
+
+  Array.from(word).forEach((character) => {
+    if (current && getSize(current + character) > budget) {
+      pieces.push(current);
+      current = '';
+    }
+
+    current += character;
+  });
+
+  pieces.push(current);
+
+  return pieces;
+};
+
+/**
+ * RecordSplitter Class
+ */
+class RecordSplitter {
+
+  /**
+   * Constructor, validates the given configuration
+   * @param  {Object} config Splitting config by content type
+   * @return {void}
+   */
+  constructor (config = {}) {
+    if (!_.isPlainObject(config)) {
+      throw new ConfigError('Invalid splitRecords: expected an object with content types as keys');
+    }
+
+    this.config = _.mapValues(config, (options, contentType) => {
+      return this.normalizeOptions(options, contentType);
+    });
+  }
+
+  /**
+   * Validate and normalize the options of a content type
+   * @param  {Object} options     Options of the content type
+   * @param  {String} contentType Content type id
+   * @return {Object}             Normalized options
+   */
+  normalizeOptions (options, contentType) {
+    const fail = (message) => {
+      throw new ConfigError(`Invalid splitRecords for content type "${contentType}": ${message}`);
+    };
+
+    if (!_.isPlainObject(options)) {
+      fail('expected an object');
+    }
+
+    options = Object.assign({}, DEFAULTS, options);
+
+    if (typeof options.field !== 'string' || options.field.length === 0) {
+      fail('`field` must be the name of a text field');
+    }
+
+    if (['size', 'paragraph'].indexOf(options.by) === -1) {
+      fail('`by` must be either "size" or "paragraph"');
+    }
+
+    if (!(options.maxRecordBytes > 0)) {
+      fail('`maxRecordBytes` must be a positive number');
+    }
+
+    return options;
+  }
+
+  /**
+   * Split all records which exceed the size limit of their content type
+   * @param  {Array} records Records to index
+   * @return {Array}         Records and chunks
+   */
+  split (records) {
+    return _.flatMap(records, (record) => this.splitRecord(record));
+  }
+
+  /**
+   * Split a record into chunks of its text field. All chunks share the same
+   * distinct attribute and are numbered by `chunk`.
+   * @param  {Object} record Record to split
+   * @return {Array}         Record or chunks
+   */
+  splitRecord (record) {
+    const options = this.config[record.contentType];
+
+    if (!options) {
+      return [record];
+    }
+
+    record = Object.assign({}, record, {
+      [options.distinctAttribute]: `${record.id}_${record.locale}`
+    });
+
+    if (getRecordSize(record) <= options.maxRecordBytes) {
+      return [record];
+    }
+
+    const text = this.getText(record[options.field]);
+    const rest = Object.assign({}, record, {
+      [options.field]: '',
+      chunk: Number.MAX_SAFE_INTEGER
+    });
+    const budget = options.maxRecordBytes - getRecordSize(rest);
+
+    if (budget <= 0) {
+      throw new SyncError(`Record ${record.id} (${record.locale}) exceeds ${options.maxRecordBytes} bytes ` +
+        `without its field "${options.field}"`, {
+        contentType: record.contentType,
+        entryId: record.id,
+        locale: record.locale
+      });
+    }
+
+    return this.getChunks(text, budget, options.by).map((chunk, index) => {
+      return Object.assign({}, record, {
+        [options.field]: chunk,
+        chunk: index
+      });
+    });
+  }
+
+  /**
+   * Get the text of a field
+   * @param  {Mixed}  value Value of the field
+   * @return {String}       Text
+   */
+  getText (value) {
+    if (RichText.isDocument(value)) {
+      return RichText.toPlainText(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.join('\n');
+    }
+
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Split a text into chunks within a budget
+   * @param  {String} text   Text to split
+   * @param  {Number} budget Maximum size of a chunk in bytes
+   * @param  {String} by     `paragraph` for one chunk per paragraph, `size` to
+   *                         fill each chunk up to the budget
+   * @return {Array}         Chunks
+   */
+  getChunks (text, budget, by) {
+    const paragraphs = text.split(/\n+/)
+      .map((paragraph) => paragraph.trim())
+      .filter((paragraph) => paragraph.length > 0);
+    const pieces = _.flatMap(paragraphs, (paragraph) => {
+      if (getSize(paragraph) <= budget) {
+        return [paragraph];
+      }
+
+      const words = _.flatMap(paragraph.split(/\s+/), (word) => cutWord(word, budget));
+
+      return pack(words, ' ', budget);
+    });
+
+    if (pieces.length === 0) {
+      return [''];
+    }
+
+    if (by === 'paragraph') {
+      return pieces;
+    }
+
+    return pack(pieces, '\n', budget);
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = RecordSplitter;
@@ -0,0 +1,149 @@
+/**
+ * Retry failing requests with exponential backoff
+ */
+const _ = require('lodash');
+const ConsoleLogger = require('./ConsoleLogger');
+
+const DEFAULTS = {
+  attempts: 5,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const RETRYABLE_CONTENTFUL_ERRORS = ['RateLimitExceeded', 'ServerError', 'BadGateway', 'ServiceUnavailable'];
+
+const RETRYABLE_ALGOLIA_ERRORS = ['AlgoliaSearchNetworkError', 'AlgoliaSearchRequestTimeoutError'];
+
+/**
+ * RetryPolicy Class
+ */
+class RetryPolicy {
+
+  /**
+   * Constructor
+   * @param  {Object}  options          Options
+   * @param  {Number}  options.attempts Maximum number of attempts
+   * @param  {Number}  options.minDelay Delay before the first retry in ms
+   * @param  {Number}  options.maxDelay Maximum delay in ms
+   * @param  {Number}  options.factor   Factor the delay grows by per attempt
+   * @param  {Boolean} options.jitter   Randomize delays
+   * @param  {Object}  logger           Logger of retries
+   * @return {void}
+   */
+  constructor (options = {}, logger = new ConsoleLogger()) {
+    this.options = _.defaults(_.omitBy(options, _.isUndefined), DEFAULTS);
+    this.logger = logger;
+  }
+
+  /**
+   * Run a function and retry it while it fails with a transient error
+   * @param  {Function} operation   Function returning a Promise
+   * @param  {String}   description Description used in log messages
+   * @param  {Function} isRetryable Check if an error is retried, defaults to
+   *                                all transient errors
+   * @return {Promise}              Resolves or rejects like the last attempt
+   */
+  run (operation, description = 'Request', isRetryable = (error) => this.isRetryable(error)) {
+    const attempt = (number) => {
+      return Promise.resolve()
+        .then(() => operation())
+        .catch((error) => {
+          if (number >= this.options.attempts || !isRetryable(error)) {
+            throw error;
+          }
+
+          const delay = this.getDelay(number, error);
+
+          this.logger.warn(`${description} failed, retrying in ${delay} ms ` +
+            `(attempt ${number + 1} of ${this.options.attempts})`, {
+            attempt: number + 1,
+            delay
+          });
+
+          return new Promise((resolve) => setTimeout(resolve, delay))
+            .then(() => attempt(number + 1));
+        });
+    };
+
+    return attempt(1);
+  }
+
+  /**
+   * Check if a request was refused by a rate limit, so it did not change
+   * anything
+   * @param  {Mixed}   error Error of Contentful or Algolia
+   * @return {Boolean}
+   */
+  isRateLimit (error) {
+    if (!error) {
+      return false;
+    }
+
+    const status = error.statusCode || error.status || (error.response && error.response.status);
+
+    return status === 429 || _.get(error, 'sys.id') === 'RateLimitExceeded';
+  }
+
+  /**
+   * Check if an error is transient: rate limits, server and network errors
+   * @param  {Mixed}   error Error of Contentful or Algolia
+   * @return {Boolean}
+   */
+  isRetryable (error) {
+    if (!error) {
+      return false;
+    }
+
+    const status = error.statusCode || error.status || (error.response && error.response.status);
+
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+
+    if (error.sys && error.sys.id) {
+      return _.includes(RETRYABLE_CONTENTFUL_ERRORS, error.sys.id);
+    }
+
+    return _.includes(RETRYABLE_CODES, error.code) || _.includes(RETRYABLE_ALGOLIA_ERRORS, error.name);
+  }
+
+  /**
+   * Get the delay before the next attempt. Uses the rate limit reset sent by
+   * Contentful or the `Retry-After` header if the error holds the headers of
+   * the response.
+   * @param  {Number} number Number of the failed attempt, starting at 1
+   * @param  {Mixed}  error  Error of the failed attempt
+   * @return {Number}        Delay in ms
+   */
+  getDelay (number, error) {
+    const headers = error.headers || (error.response && error.response.headers) || {};
+    const reset = Number(headers['x-contentful-ratelimit-reset'] || headers['retry-after']);
+    let delay = Math.min(
+      this.options.maxDelay,
+      this.options.minDelay * Math.pow(this.options.factor, number - 1)
+    );
+
+    if (reset > 0) {
+      delay = Math.min(this.options.maxDelay, reset * 1000);
+
+      // Never retry before the reset, only add jitter on top
+      return Math.round(delay + (this.options.jitter ? Math.random() * this.options.minDelay : 0));
+    }
+
+    if (this.options.jitter) {
+      delay = delay / 2 + Math.random() * delay / 2;
+    }
+
+    return Math.round(delay);
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = RetryPolicy;
@@ -0,0 +1,298 @@
+/**
+ * Convert Contentful Rich Text documents
+ */
+const _ = require('lodash');
+
+const INLINE_NODES = [
+  'text',
+  'hyperlink',
+  'entry-hyperlink',
+  'asset-hyperlink',
+  'embedded-entry-inline'
+];
+
+const EMBEDDED_NODES = [
+  'embedded-entry-block',
+  'embedded-entry-inline',
+  'embedded-asset-block'
+];
+
+/**
+ * HTML tags of nodes, nodes missing here only render their content
+ * @type {Object}
+ */
+const NODE_TAGS = {
+  'paragraph': 'p',
+  'heading-1': 'h1',
+  'heading-2': 'h2',
+  'heading-3': 'h3',
+  'heading-4': 'h4',
+  'heading-5': 'h5',
+  'heading-6': 'h6',
+  'ordered-list': 'ol',
+  'unordered-list': 'ul',
+  'list-item': 'li',
+  'blockquote': 'blockquote',
+  'table': 'table',
+  'table-row': 'tr',
+  'table-cell': 'td',
+  'table-header-cell': 'th'
+};
+
+/**
+ * HTML tags of text marks
+ * @type {Object}
+ */
+const MARK_TAGS = {
+  bold: 'strong',
+  italic: 'em',
+  underline: 'u',
+  code: 'code',
+  superscript: 'sup',
+  subscript: 'sub'
+};
+
+/**
+ * Fields used to summarize embedded entries, in order
+ * @type {Array}
+ */
+const SUMMARY_FIELDS = ['title', 'name', 'label', 'headline'];
+
+/**
+ * Fields of embedded entries which are not part of their text
+ * @type {Array}
+ */
+const META_FIELDS = ['id', 'contentType', 'locale', 'createdAt', 'updatedAt', 'url', 'width', 'height'];
+
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i;
+
+/**
+ * Escape text for HTML
+ * @param  {String} text Text to escape
+ * @return {String}      Escaped text
+ */
+const escape = (text) => _.escape(String(text));
+
+/**
+ * Get the URL of an asset, which is either compact or holds its file
+ * @param  {Object} asset Localized asset
+ * @return {String}       URL
+ */
+const getAssetUrl = (asset) => {
+  const url = asset.url || (asset.file && asset.file.url);
+
+  if (!url) {
+    return '';
+  }
+
+  return url.indexOf('//') === 0 ? `https:${url}` : url;
+};
+
+/**
+ * RichText Class
+ */
+class RichText {
+
+  /**
+   * Check if a value is a Rich Text document
+   * @param  {Mixed}   value Value to check
+   * @return {Boolean}
+   */
+  static isDocument (value) {
+    return !!value && typeof value === 'object' && value.nodeType === 'document' &&
+      Array.isArray(value.content);
+  }
+
+  /**
+   * Convert a Rich Text node to plain text. Blocks are separated by line
+   * breaks.
+   * @param  {Object} node             Document or any other node
+   * @param  {Object} options          Options
+   * @param  {String} options.embedded `summary` to add the title of embedded
+   *                                   entries and assets, `inline` to add all
+   *                                   their text or `none`
+   * @return {String}                  Plain text
+   */
+  static toPlainText (node, options = {}) {
+    if (!node || typeof node !== 'object') {
+      return '';
+    }
+
+    if (node.nodeType === 'text') {
+      return node.value || '';
+    }
+
+    if (EMBEDDED_NODES.indexOf(node.nodeType) !== -1) {
+      return RichText.getEmbeddedText(node, options.embedded);
+    }
+
+    if (!Array.isArray(node.content)) {
+      return '';
+    }
+
+    const isInline = node.content.every((child) => INLINE_NODES.indexOf(child.nodeType) !== -1);
+
+    return node.content
+      .map((child) => RichText.toPlainText(child, options))
+      .filter((text) => isInline || text.length > 0)
+      .join(isInline ? '' : '\n');
+  }
+
+  /**
+   * Convert a Rich Text document to HTML. Only known nodes and marks are
+   * rendered, all text and attributes are escaped and only safe link URLs are
+   * kept.
+   * @param  {Object} node              Document or any other node
+   * @param  {Object} options           Options
+   * @param  {String} options.embedded  How to render embedded entries, see
+   *                                    `toPlainText`
+   * @param  {Number} options.maxLength Only render top-level blocks until
+   *                                    this length is reached, 0 for no limit
+   * @return {String}                   HTML
+   */
+  static toHtml (node, options = {}) {
+    if (!RichText.isDocument(node) || !options.maxLength) {
+      return RichText.renderHtml(node, options);
+    }
+
+    let html = '';
+
+    _.find(node.content, (child) => {
+      const block = RichText.renderHtml(child, options);
+
+      if (html.length + block.length > options.maxLength) {
+        return true;
+      }
+
+      html += block;
+
+      return false;
+    });
+
+    return html;
+  }
+
+  /**
+   * Render a node and its children as HTML
+   * @param  {Object} node    Node to render
+   * @param  {Object} options Options, see `toHtml`
+   * @return {String}         HTML
+   */
+  static renderHtml (node, options) {
+    if (!node || typeof node !== 'object') {
+      return '';
+    }
+
+    if (node.nodeType === 'text') {
+      return (node.marks || []).reduce((html, mark) => {
+        const tag = MARK_TAGS[mark.type];
+
+        return tag ? `<${tag}>${html}</${tag}>` : html;
+      }, escape(node.value || ''));
+    }
+
+    if (node.nodeType === 'hr') {
+      return '<hr>';
+    }
+
+    if (EMBEDDED_NODES.indexOf(node.nodeType) !== -1) {
+      return RichText.getEmbeddedHtml(node, options.embedded);
+    }
+
+    const content = (node.content || []).map((child) => RichText.renderHtml(child, options)).join('');
+    const data = node.data || {};
+    const target = data.target || {};
+
+    if (node.nodeType === 'hyperlink') {
+      return SAFE_URL.test(data.uri || '') ? `<a href="${escape(data.uri)}">${content}</a>` : content;
+    }
+
+    if (node.nodeType === 'asset-hyperlink' && getAssetUrl(target)) {
+      return `<a href="${escape(getAssetUrl(target))}">${content}</a>`;
+    }
+
+    if (node.nodeType === 'entry-hyperlink' && target.id) {
+      return `<a data-entry-id="${escape(target.id)}">${content}</a>`;
+    }
+
+    const tag = NODE_TAGS[node.nodeType];
+
+    return tag ? `<${tag}>${content}</${tag}>` : content;
+  }
+
+  /**
+   * Get the text of an embedded entry or asset
+   * @param  {Object} node     Embedded node, holding the resolved target
+   * @param  {String} embedded `summary`, `inline` or `none`
+   * @return {String}          Text
+   */
+  static getEmbeddedText (node, embedded = 'summary') {
+    const target = (node.data && node.data.target) || {};
+
+    if (embedded === 'none') {
+      return '';
+    }
+
+    if (embedded === 'inline') {
+      return _.filter(_.omit(target, META_FIELDS), _.isString).join(' ');
+    }
+
+    const field = _.find(SUMMARY_FIELDS, (field) => _.isString(target[field]) && target[field].length > 0);
+
+    return field ? target[field] : '';
+  }
+
+  /**
+   * Get the HTML of an embedded entry or asset. Images are rendered as `img`,
+   * other assets as link and entries as element with their id.
+   * @param  {Object} node     Embedded node, holding the resolved target
+   * @param  {String} embedded `summary`, `inline` or `none`
+   * @return {String}          HTML
+   */
+  static getEmbeddedHtml (node, embedded = 'summary') {
+    const target = (node.data && node.data.target) || {};
+    const text = escape(RichText.getEmbeddedText(node, embedded));
+
+    if (embedded === 'none') {
+      return '';
+    }
+
+    if (node.nodeType === 'embedded-asset-block') {
+      const url = getAssetUrl(target);
+      const isImage = target.width || (target.file && target.file.details && target.file.details.image);
+
+      if (!url) {
+        return '';
+      }
+
+      return isImage ? `<img src="${escape(url)}" alt="${text}">` : `<a href="${escape(url)}">${text}</a>`;
+    }
+
+    const tag = node.nodeType === 'embedded-entry-inline' ? 'span' : 'div';
+
+    return `<${tag} data-entry-id="${escape(target.id || '')}">${text}</${tag}>`;
+  }
+
+  /**
+   * Shorten a text to a maximum length at a word boundary
+   * @param  {String} text      Text to shorten
+   * @param  {Number} maxLength Maximum length, 0 for no limit
+   * @return {String}           Shortened text
+   */
+  static truncate (text, maxLength) {
+    if (!maxLength || text.length <= maxLength) {
+      return text;
+    }
+
+    const cut = text.slice(0, maxLength + 1);
+    const boundary = cut.search(/\s\S*$/);
+
+    return (boundary > 0 ? cut.slice(0, boundary) : text.slice(0, maxLength)).trim();
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = RichText;
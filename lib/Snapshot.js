@@ -0,0 +1,155 @@
+/**
+ * Snapshot of localized entries as NDJSON files, one per content type and
+ * locale, to restore or compare indices without Contentful
+ */
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { SyncError } = require('./Errors');
+const EXTENSION = '.ndjson';
+
+/**
+ * Wrap a callback-style fs function in a Promise
+ * @param  {Function} fn   Function of `fs`
+ * @param  {Array}    args Arguments without callback
+ * @return {Promise}       Resolves with the result of the function
+ */
+const call = (fn, ...args) => {
+  return new Promise((resolve, reject) => {
+    fn(...args, (error, result) => {
+      if (error) {
+        return reject(error);
+      }
+
+      return resolve(result);
+    });
+  });
+};
+
+/**
+ * Snapshot Class
+ *
+ * Writes the records of each content type to
+ * `<directory>/<contentType>.<locale>.ndjson`, sorted by source and id, so
+ * snapshots of different releases can be diffed line by line.
+ */
+class Snapshot {
+
+  /**
+   * Constructor
+   * @param  {String} directory Directory of the files
+   * @return {void}
+   */
+  constructor (directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Get the path of the file of a content type and locale
+   * @param  {String} contentType Content type id
+   * @param  {String} locale      Locale code
+   * @return {String}             Path
+   */
+  getFilePath (contentType, locale) {
+    return path.join(this.directory, `${contentType}.${locale}${EXTENSION}`);
+  }
+
+  /**
+   * List the files of the snapshot
+   * @return {Promise} Resolves with the files by content type
+   */
+  getFiles () {
+    return call(fs.readdir, this.directory)
+      .catch((error) => {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+
+        throw error;
+      })
+      .then((files) => {
+        return _.groupBy(_.filter(files, (file) => {
+          return _.endsWith(file, EXTENSION) && file.split('.').length === 3;
+        }), (file) => file.split('.')[0]);
+      });
+  }
+
+  /**
+   * Get the content types of the snapshot
+   * @return {Promise} Resolves with the content type ids
+   */
+  getContentTypes () {
+    return this.getFiles().then((files) => _.keys(files).sort());
+  }
+
+  /**
+   * Replace the files of a content type with the given records
+   * @param  {String}  contentType Content type id
+   * @param  {Array}   records     Localized entries
+   * @return {Promise}             Resolves with the written files, each with
+   *                               `contentType`, `locale`, `path` and `count`
+   */
+  write (contentType, records) {
+    const byLocale = _.groupBy(_.sortBy(records, ['source', 'id']), 'locale');
+
+    return call(fs.mkdir, this.directory, {
+      recursive: true
+    })
+      .then(() => this.getFiles())
+      .then((files) => {
+        return Promise.all((files[contentType] || []).map((file) => {
+          return call(fs.unlink, path.join(this.directory, file));
+        }));
+      })
+      .then(() => {
+        return Promise.all(_.map(byLocale, (localeRecords, locale) => {
+          const filePath = this.getFilePath(contentType, locale);
+          const data = localeRecords.map((record) => `${JSON.stringify(record)}\n`).join('');
+
+          return call(fs.writeFile, filePath, data)
+            .then(() => {
+              return {
+                contentType,
+                locale,
+                path: filePath,
+                count: localeRecords.length
+              };
+            });
+        }));
+      });
+  }
+
+  /**
+   * Read the records of a content type from all its files
+   * @param  {String}  contentType Content type id
+   * @return {Promise}             Resolves with the localized entries, rejects
+   *                               if the snapshot has no files of the type
+   */
+  read (contentType) {
+    return this.getFiles()
+      .then((files) => {
+        if (!files[contentType]) {
+          throw new SyncError(`No snapshot of content type "${contentType}" in ${this.directory}`, {
+            contentType
+          });
+        }
+
+        return Promise.all(files[contentType].sort().map((file) => {
+          return call(fs.readFile, path.join(this.directory, file), 'utf8');
+        }));
+      })
+      .then((contents) => {
+        return _.flatMap(contents, (data) => {
+          return data.split('\n')
+            .filter((line) => line.trim().length > 0)
+            .map((line) => JSON.parse(line));
+        });
+      });
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = Snapshot;
@@ -2,10 +2,59 @@
  * Synchronize data for any given content type from Contentful and bring it to
  * an Algolia Index.
  */
+const EventEmitter = require('events');
 const Algolia = require('./Algolia');
+const ElasticsearchAdapter = require('./ElasticsearchAdapter');
+const FileAdapter = require('./FileAdapter');
+const LocalizedAlgolia = require('./LocalizedAlgolia');
+const Mapping = require('./Mapping');
+const RecordSplitter = require('./RecordSplitter');
+const RecordFilter = require('./RecordFilter');
 const Contentful = require('./Contentful');
+const ConsoleLogger = require('./ConsoleLogger');
+const DiffReport = require('./DiffReport');
+const SyncSummary = require('./SyncSummary');
+const FileTokenStore = require('./FileTokenStore');
+const Snapshot = require('./Snapshot');
+const RetryPolicy = require('./RetryPolicy');
+const { SyncError, ContentfulFetchError, ConfigError, getMessage } = require('./Errors');
+const _ = require('lodash');
+const PREVIEW_HOST = 'preview.contentful.com';
 
-class Sync {
+/**
+ * Built-in search backends by name
+ * @type {Object}
+ */
+const ADAPTERS = {
+  algolia: Algolia,
+  elasticsearch: ElasticsearchAdapter,
+  file: FileAdapter
+};
+
+/**
+ * Get the error for a content type which no Contentful source provides
+ * @param  {String}      type Content type id
+ * @return {ConfigError}
+ */
+const getMissingSourceError = (type) => {
+  return new ConfigError(`No Contentful source provides content type "${type}"`);
+};
+
+/**
+ * Sync Class
+ *
+ * Emits progress events:
+ *
+ * - `fetchPage` for each page of entries fetched from Contentful
+ * - `localize` with the number of entries and records by locale of a content
+ *   type
+ * - `diff` with the changes computed for an index
+ * - `batch` for each write to an index
+ * - `typeFinished` with the summary of a content type
+ * - `error` with the error of a failed content type, only if there is a
+ *   listener
+ */
+class Sync extends EventEmitter {
 
   /**
    * Constructor for Sync class
@@ -13,55 +62,416 @@ class Sync {
    * @return {void}
    */
   constructor (config) {
+    super();
+
+    if (!config || !config.contentful || (!config.algolia && !config.target)) {
+      throw new ConfigError('Invalid config: `contentful` and `algolia` or `target` are required');
+    }
+
     this.config = config;
-    this.contentful = new Contentful(this.config.contentful, this.config.locales);
+    this.logger = this.getLogger(this.config.logger);
+
+    // Changes are counted in the summaries of the content types being synced
+    this.runningSummaries = [];
+    this.on('diff', (diff) => this.addDiff(diff));
+
+    this.targetConfig = Object.assign({}, this.config.algolia, this.config.target, {
+      logger: this.logger
+    });
+    this.Adapter = this.getAdapter(this.targetConfig.adapter);
+    this.retry = new RetryPolicy(this.config.retry, this.logger);
+    this.mapping = new Mapping(this.config.mappings);
+    this.splitter = new RecordSplitter(this.config.splitRecords);
+    this.filter = new RecordFilter(this.config.filters, this.config.shouldIndex);
+    this.sources = this.createSources(this.config.contentful);
+    this.contentful = this.sources[0].contentful;
+
+    if (this.hasPreview()) {
+      if (this.targetConfig.previewIndexPrefix === (this.targetConfig.indexPrefix || '')) {
+        throw new ConfigError('Invalid previewIndexPrefix: it must differ from `indexPrefix`');
+      }
+
+      if (_.some(this.sources, {
+        preview: null
+      })) {
+        throw new ConfigError('Invalid contentful: `previewAccessToken` is required with `previewIndexPrefix`');
+      }
+    }
+
+    this.tokenStore = this.config.syncTokenStore || new FileTokenStore(this.config.syncTokenFile);
+    this.reverseLinks = this.getReverseLinks(this.config.reverseLinks);
+    this.environmentPrefixes = this.config.environmentPrefixes || {};
+
+    if (!_.isPlainObject(this.environmentPrefixes)) {
+      throw new ConfigError('Invalid environmentPrefixes: expected an object with environments as keys');
+    }
+  }
+
+  /**
+   * Create a Contentful client for each source. `contentful` is either the
+   * config of one space or an array of sources, each with its own `space`,
+   * `environment` and `accessToken` and optionally `name` and `contentTypes`.
+   * Records of a source carry its name as `source`, which defaults to
+   * `<space>/<environment>`.
+   * @param  {Mixed} contentful Config of one space or an array of sources
+   * @return {Array}            Sources with `name`, `space`, `environment`,
+   *                            `contentTypes`, `contentful` client and
+   *                            `preview` client if `previewAccessToken` is
+   *                            set. The name of a single space is undefined.
+   */
+  createSources (contentful) {
+    if (!Array.isArray(contentful)) {
+      return [this.createSource(contentful, undefined)];
+    }
+
+    if (contentful.length === 0) {
+      throw new ConfigError('Invalid contentful: expected at least one source');
+    }
+
+    const sources = contentful.map((config, index) => {
+      if (!_.isPlainObject(config) || !config.space) {
+        throw new ConfigError(`Invalid contentful source at position ${index}: \`space\` is required`);
+      }
+
+      if (config.contentTypes && !Array.isArray(config.contentTypes)) {
+        throw new ConfigError(`Invalid contentful source at position ${index}: \`contentTypes\` must be an array`);
+      }
+
+      return this.createSource(config, config.name || `${config.space}/${config.environment || 'master'}`);
+    });
+
+    const names = _.map(sources, 'name');
+    const duplicate = _.find(names, (name, index) => names.indexOf(name) !== index);
+
+    if (duplicate) {
+      throw new ConfigError(`Invalid contentful: the source name "${duplicate}" is used more than once`);
+    }
+
+    return sources;
+  }
+
+  /**
+   * Create a Contentful source
+   * @param  {Object} config Config of the space
+   * @param  {String} name   Name of the source, set as `source` on records
+   * @return {Object}        Source
+   */
+  createSource (config, name) {
+    const create = (clientConfig) => {
+      return new Contentful(clientConfig, this.config.locales, this.mapping, this.retry, this.filter, name, this);
+    };
+
+    return {
+      name,
+      space: config.space,
+      environment: config.environment || 'master',
+      contentTypes: config.contentTypes || null,
+      contentful: create(config),
+      preview: config.previewAccessToken ? create(Object.assign({}, config, {
+        host: config.previewHost || PREVIEW_HOST,
+        accessToken: config.previewAccessToken
+      })) : null
+    };
+  }
+
+  /**
+   * Check if drafts are synced to a preview index next to the published
+   * entries, which is enabled by `previewIndexPrefix` in the algolia config
+   * @return {Boolean}
+   */
+  hasPreview () {
+    return _.isString(this.targetConfig.previewIndexPrefix);
+  }
+
+  /**
+   * Create the Algolia instance of the preview index
+   * @param  {String}  indexName Algolia index without prefix
+   * @return {Algolia}           Instance, null without preview
+   */
+  getPreviewInstance (indexName) {
+    return this.hasPreview() ? this.getAlgoliaInstance(indexName, this.targetConfig.previewIndexPrefix) : null;
+  }
+
+  /**
+   * Get all sources or the one with the given name
+   * @param  {String} name Name of the source, all sources if not given
+   * @return {Array}       Sources
+   */
+  findSources (name) {
+    if (name === undefined) {
+      return this.sources;
+    }
+
+    const source = _.find(this.sources, {
+      name
+    });
+
+    if (!source) {
+      throw new ConfigError(`Unknown Contentful source "${name}", expected one of ${_.map(this.sources, 'name').join(', ')}`);
+    }
+
+    return [source];
+  }
+
+  /**
+   * Get the source of a space and environment, e.g. of a webhook
+   * @param  {String} space       Space id
+   * @param  {String} environment Environment id
+   * @return {Object}             Source, null if none matches. A single
+   *                              space matches everything.
+   */
+  findSource (space, environment = 'master') {
+    if (this.sources.length === 1 && this.sources[0].name === undefined) {
+      return this.sources[0];
+    }
+
+    return _.find(this.sources, {
+      space,
+      environment
+    }) || null;
+  }
+
+  /**
+   * Get the sources which provide a content type, sources without
+   * `contentTypes` provide all of them
+   * @param  {String} type    Content type id
+   * @param  {Array}  sources Sources to choose from
+   * @return {Array}          Sources
+   */
+  getTypeSources (type, sources = this.sources) {
+    return sources.filter((source) => !source.contentTypes || _.includes(source.contentTypes, type));
+  }
+
+  /**
+   * Validate the config of reverse-dependency syncs
+   * @param  {Object} reverseLinks Config with `depth` and `indexByContentType`
+   * @return {Object}              Normalized config
+   */
+  getReverseLinks (reverseLinks = {}) {
+    const options = _.defaults({}, reverseLinks, {
+      depth: 0,
+      indexByContentType: {}
+    });
+
+    if (!_.isInteger(options.depth) || options.depth < 0) {
+      throw new ConfigError('Invalid reverseLinks: `depth` must be an integer of at least 0');
+    }
+
+    if (!_.isPlainObject(options.indexByContentType)) {
+      throw new ConfigError('Invalid reverseLinks: `indexByContentType` must be an object with content types as keys');
+    }
+
+    _.each(options.indexByContentType, (index, contentType) => {
+      if (!_.isString(index) && !_.isBoolean(index)) {
+        throw new ConfigError(`Invalid reverseLinks: index of content type "${contentType}" must be a name or a boolean`);
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Get the logger, which replaces the console for all messages
+   * @param  {Object} logger Object implementing `info`, `warn` and `error`,
+   *                         a ConsoleLogger if not given
+   * @return {Object}        Logger
+   */
+  getLogger (logger) {
+    if (!logger) {
+      return new ConsoleLogger();
+    }
+
+    if (!_.every(['info', 'warn', 'error'], (method) => typeof logger[method] === 'function')) {
+      throw new ConfigError('Invalid logger: expected an object with `info`, `warn` and `error` functions');
+    }
+
+    return logger;
+  }
+
+  /**
+   * Get the class of the search backend
+   * @param  {Mixed}    adapter Name of a built-in backend, `algolia` by
+   *                            default, or a class extending `Adapter`
+   * @return {Function}         Class
+   */
+  getAdapter (adapter = 'algolia') {
+    if (typeof adapter === 'function') {
+      return adapter;
+    }
+
+    if (!ADAPTERS[adapter]) {
+      throw new ConfigError(`Invalid target: unknown adapter "${adapter}", expected one of ` +
+        `${_.keys(ADAPTERS).join(', ')} or a class`);
+    }
+
+    return ADAPTERS[adapter];
+  }
+
+  /**
+   * Create the instance of the search backend for an index. With
+   * `indexPerLocale` each locale is written to its own index.
+   * @param  {String}  indexName   Algolia index
+   * @param  {String}  indexPrefix Prefix to use instead of the configured one
+   * @return {Algolia}
+   */
+  getAlgoliaInstance (indexName, indexPrefix = undefined) {
+    let config = this.targetConfig;
+
+    if (indexPrefix !== undefined) {
+      config = Object.assign({}, config, {
+        indexPrefix
+      });
+    }
+
+    if (config.indexPerLocale) {
+      return new LocalizedAlgolia(config, indexName, this.config.locales, this.retry, this.Adapter, this);
+    }
+
+    return new this.Adapter(config, indexName, undefined, this.retry, this);
   }
 
   /**
    * Sync any given Contentful content type to a specific index
-   * @param  {String} type Name of index
+   * @param  {String} type   Name of index
+   * @param  {Object} source Contentful source to fetch from
    * @return {void}
    */
-  syncSingle (type, algoliaInstance) {
-    return this.contentful.getEntries(type, this.entryId, this.manipulateSingle)
+  syncSingle (type, algoliaInstance, source = this.sources[0]) {
+    return source.contentful.getEntries(type, this.entryId, this.manipulateSingle)
       .then((content) => {
-        return this.singleCallback(type, content, algoliaInstance);
+        return this.singleCallback(type, content, algoliaInstance, source.name);
+      });
+  }
+
+  /**
+   * Sync a content type to the public index and its drafts to the preview
+   * index in one pass. Published entries are fetched once and used for the
+   * `status` of the drafts.
+   * @param  {String}  type            Content type id
+   * @param  {Algolia} algoliaInstance Public index
+   * @param  {Algolia} previewInstance Preview index
+   * @param  {Object}  source          Contentful source to fetch from
+   * @return {Array}                   Promises of the public and the preview
+   *                                   index
+   */
+  syncSingleWithPreview (type, algoliaInstance, previewInstance, source = this.sources[0]) {
+    const published = source.contentful.fetchEntries(type, this.entryId);
+    const drafts = source.preview.fetchEntries(type, this.entryId);
+
+    return [
+      published.then((entries) => {
+        const content = source.contentful.localizeEntries(entries, this.manipulateSingle);
+
+        return this.singleCallback(type, content, algoliaInstance, source.name);
+      }),
+      Promise.all([published, drafts]).then((results) => {
+        const content = source.preview.localizeEntries(results[1], this.manipulateSingle, results[0]);
+
+        return this.singleCallback(type, content, previewInstance, source.name);
       })
-      .catch(console.error);
+    ];
   }
 
   /**
    * Call this function after content from contentful is clear
    * @param  {String} type    Name of index
    * @param  {Object} content Content object that should be synced
-   * @return {void}
+   * @param  {String} source  Name of the Contentful source, only its objects
+   *                          are replaced
+   * @return {Promise}        Resolves with the indexed object ids or with a
+   *                          DiffReport in dry-run mode
    */
-  singleCallback (type, content, algoliaInstance) {
+  singleCallback (type, content, algoliaInstance, source = undefined) {
+    const from = source ? ` from ${source}` : '';
+
     // Convert to array
     if (content.constructor !== Array) {
       content = [content];
     }
 
-    this.callback && this.callback(content);
+    content = this.applyCallback(this.splitter.split(content));
 
-    return algoliaInstance.indexData(content, type, !!this.entryId)
-      .then(() => {
-        console.log(`Indexed type: ${type}`);
-      })
-      .catch(console.error);
+    // The entry does not exist (anymore) or is filtered, so it should not be
+    // in the index
+    if (this.entryId && content.length === 0) {
+      return algoliaInstance.removeEntries([this.entryId], type, source)
+        .then((result) => {
+          this.log(algoliaInstance, `Removed entry ${this.entryId} of type: ${type}${from}`, {
+            contentType: type,
+            source,
+            entryId: this.entryId
+          });
+
+          return result;
+        });
+    }
+
+    return algoliaInstance.indexData(content, type, !!this.entryId, source)
+      .then((result) => {
+        this.log(algoliaInstance, `Indexed type: ${type}${from}`, {
+          contentType: type,
+          source
+        });
+
+        return result;
+      });
+  }
+
+  /**
+   * Pass loaded records to the callback. If it returns an array, the array is
+   * indexed instead, which allows to filter and change records.
+   * @param  {Array}    content  Records to index
+   * @param  {Function} callback Callback, defaults to the one of the sync
+   * @return {Array}             Records to index
+   */
+  applyCallback (content, callback = this.callback) {
+    if (!callback) {
+      return content;
+    }
+
+    const result = callback(content);
+
+    return Array.isArray(result) ? result : content;
+  }
+
+  /**
+   * Log a message about written changes, which is skipped in dry-run mode
+   * @param  {Algolia} algoliaInstance Index which has been written to
+   * @param  {String}  message         Message to log
+   * @param  {Object}  details         Details like `contentType` and `source`
+   * @return {void}
+   */
+  log (algoliaInstance, message, details = {}) {
+    if (!algoliaInstance.dryRun) {
+      this.logger.info(message, Object.assign({
+        indexName: algoliaInstance.indexName
+      }, details));
+    }
   }
 
   /**
-   * Sync all configured content types
+   * Sync all configured content types. A failing type does not stop the
+   * others. Afterwards the Promise is rejected with the first error, which
+   * holds the result of each type in `error.results`. With several
+   * Contentful sources, each type is synced from every source providing it.
+   * With `previewIndexPrefix`, drafts are synced to the preview index in the
+   * same pass.
+   * When syncing a single entry, entries linking to it are synced as well if
+   * `reverseLinks` is configured.
    * @param  {Array}    type             Contentful content types to sync
    * @param  {String}   indexName        Algolia index
    * @param  {Function} callback         Callback, which is fired when each
    *                                     entry is loaded
    * @param  {String}   entryId          Id of an entry that should be syced
    * @param  {Function} manipulateSingle Manipulate each entry
-   * @return {void}
+   * @param  {String}   source           Only sync from the source with this
+   *                                     name
+   * @return {Promise}                   Resolves with a SyncSummary of the
+   *                                     changes of each type and locale, or
+   *                                     with a DiffReport of all types in
+   *                                     dry-run mode
    */
-  sync (contentTypes, indexName, callback, entryId = false, manipulateSingle = false) {
+  sync (contentTypes, indexName, callback, entryId = false, manipulateSingle = false, source = undefined) {
 
     // Convert to array
     if (contentTypes.constructor !== Array) {
@@ -73,14 +483,911 @@ class Sync {
     this.entryId = entryId;
     this.manipulateSingle = manipulateSingle;
 
-    const algoliaInstance = new Algolia(this.config.algolia, this.indexName);
-    let promises = [];
+    const algoliaInstance = this.getAlgoliaInstance(this.indexName);
+    const previewInstance = this.getPreviewInstance(this.indexName);
+    const syncSummary = new SyncSummary();
+    let sources = [];
+
+    return this.applySettingsOnSync(algoliaInstance)
+      .then(() => previewInstance && this.applySettingsOnSync(previewInstance))
+      .then(() => {
+        let promises = [];
+
+        sources = this.findSources(source);
+
+        contentTypes.forEach((type) => {
+          const typeSources = this.getTypeSources(type, sources);
+
+          if (typeSources.length === 0) {
+            promises.push(this.settle(type, Promise.reject(getMissingSourceError(type)), {}, algoliaInstance));
+          }
+
+          typeSources.forEach((typeSource) => {
+            const details = {
+              source: typeSource.name
+            };
+
+            if (!previewInstance) {
+              promises.push(this.settle(type, this.syncSingle(type, algoliaInstance, typeSource), details, algoliaInstance));
+
+              return;
+            }
 
-    contentTypes.forEach((type) => {
-      promises.push(this.syncSingle(type, algoliaInstance));
+            const both = this.syncSingleWithPreview(type, algoliaInstance, previewInstance, typeSource);
+
+            promises.push(this.settle(type, both[0], details, algoliaInstance));
+            promises.push(this.settle(type, both[1], Object.assign({
+              indexName: previewInstance.indexName
+            }, details), previewInstance));
+          });
+        });
+
+        return Promise.all(promises);
+      })
+      .then((summary) => {
+        if (!entryId) {
+          return summary;
+        }
+
+        const entrySources = sources.filter((item) => {
+          return _.some(contentTypes, (type) => this.getTypeSources(type, [item]).length > 0);
+        });
+
+        return this.settleDependents(entryId, indexName, callback, manipulateSingle, this.reverseLinks.depth, entrySources)
+          .then((dependents) => summary.concat(dependents));
+      })
+      .then((summary) => this.getSettledResult(summary, algoliaInstance, syncSummary))
+      .then((result) => algoliaInstance.dryRun ? result : syncSummary)
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Sync all entries linking to an entry, e.g. articles embedding a changed
+   * author. They are looked up up to `reverseLinks.depth` levels and synced
+   * to the index configured for their content type in
+   * `reverseLinks.indexByContentType`. Content types missing there are not
+   * synced.
+   * @param  {String}   entryId          Id of the changed entry
+   * @param  {String}   indexName        Algolia index of the changed entry
+   * @param  {Function} callback         Callback, which is fired when each
+   *                                     entry is loaded
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @param  {Number}   depth            Levels of links to follow back,
+   *                                     defaults to `reverseLinks.depth`
+   * @param  {String}   source           Name of the source of the changed
+   *                                     entry, all sources if not given
+   * @return {Promise}                   Resolves with a DiffReport in
+   *                                     dry-run mode
+   */
+  syncDependents (entryId, indexName, callback, manipulateSingle = false, depth = this.reverseLinks.depth || 1,
+    source = undefined) {
+    return Promise.resolve()
+      .then(() => this.settleDependents(entryId, indexName, callback, manipulateSingle, depth, this.findSources(source)))
+      .then((summary) => this.getSettledResult(summary, this.getAlgoliaInstance(indexName)))
+      .catch((error) => {
+        throw this.toSyncError(error, {
+          entryId
+        });
+      });
+  }
+
+  /**
+   * Sync the entries linking to an entry without rejecting
+   * @param  {String}   entryId          Id of the changed entry
+   * @param  {String}   indexName        Algolia index of the changed entry
+   * @param  {Function} callback         Callback, which is fired when each
+   *                                     entry is loaded
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @param  {Number}   depth            Levels of links to follow back
+   * @param  {Array}    sources          Sources to look up linking entries in
+   * @return {Promise}                   Resolves with the status of each
+   *                                     content type of the linking entries
+   */
+  settleDependents (entryId, indexName, callback, manipulateSingle, depth = this.reverseLinks.depth,
+    sources = this.sources) {
+    if (depth <= 0) {
+      return Promise.resolve([]);
+    }
+
+    return Promise.all(sources.map((source) => {
+      return this.settleSourceDependents(entryId, indexName, callback, manipulateSingle, depth, source);
+    })).then(_.flatten);
+  }
+
+  /**
+   * Sync the entries of one source linking to an entry without rejecting
+   * @param  {String}   entryId          Id of the changed entry
+   * @param  {String}   indexName        Algolia index of the changed entry
+   * @param  {Function} callback         Callback, which is fired when each
+   *                                     entry is loaded
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @param  {Number}   depth            Levels of links to follow back
+   * @param  {Object}   source           Source to look up linking entries in
+   * @return {Promise}                   Resolves with the status of each
+   *                                     content type of the linking entries
+   */
+  settleSourceDependents (entryId, indexName, callback, manipulateSingle, depth, source) {
+    const contentful = source.contentful;
+
+    return contentful.getLinkingEntries(entryId, depth)
+      .then((entries) => {
+        const idsByType = _.mapValues(_.groupBy(entries, (entry) => {
+          return contentful.getContentType(entry);
+        }), (entries) => _.map(entries, 'sys.id'));
+
+        const promises = _.map(idsByType, (ids, type) => {
+          const typeIndexName = this.getDependentIndexName(type, indexName);
+
+          if (!typeIndexName || this.getTypeSources(type, [source]).length === 0) {
+            return null;
+          }
+
+          const algoliaInstance = this.getAlgoliaInstance(typeIndexName);
+          const promise = contentful.getEntries(type, ids, manipulateSingle)
+            .then((content) => {
+              content = this.applyCallback(this.splitter.split(content), callback);
+
+              // Entries which are filtered or gone are removed
+              return algoliaInstance.indexChanges(content, _.difference(ids, _.map(content, 'id')), source.name);
+            })
+            .then((result) => {
+              this.log(algoliaInstance, `Indexed ${ids.length} entries of type ${type} linking to ${entryId}`, {
+                contentType: type,
+                source: source.name,
+                entryId
+              });
+
+              return result;
+            });
+
+          return this.settle(type, promise, {
+            indexName: typeIndexName,
+            source: source.name
+          }, algoliaInstance);
+        });
+
+        return Promise.all(_.compact(promises));
+      })
+      .catch((error) => {
+        const details = _.pickBy({
+          source: source.name
+        });
+
+        return [Object.assign({
+          contentType: null,
+          status: 'rejected',
+          error: this.toSyncError(error, Object.assign({
+            entryId
+          }, details))
+        }, details)];
+      });
+  }
+
+  /**
+   * Get the index to sync entries linking to a changed entry to. Only content
+   * types listed in `indexByContentType` are synced, `true` syncs them to the
+   * index of the changed entry.
+   * @param  {String} type      Content type of the linking entries
+   * @param  {String} indexName Algolia index of the changed entry
+   * @return {String}           Index name, false if the content type is not
+   *                            synced
+   */
+  getDependentIndexName (type, indexName) {
+    const index = this.reverseLinks.indexByContentType[type];
+
+    if (index === true) {
+      return indexName;
+    }
+
+    return index || false;
+  }
+
+  /**
+   * Wait for the sync of a content type without rejecting
+   * @param  {String}  type    Content type id
+   * @param  {Promise} promise Sync of the content type
+   * @param  {Object}  details Details like `indexName` and `source`, which
+   *                           are added to the status if set
+   * @param  {Algolia} algoliaInstance Index the content type is written to,
+   *                                   its changes are counted in the summary
+   * @return {Promise}         Resolves with the status of the content type,
+   *                           either its result or error and its `summary`
+   */
+  settle (type, promise, details = {}, algoliaInstance = null) {
+    const startedAt = Date.now();
+    const indexNames = algoliaInstance ? algoliaInstance.getIndexNames() : [];
+    const summary = SyncSummary.createType(Object.assign({
+      contentType: type
+    }, details));
+    const running = {
+      summary,
+      indexNames
+    };
+
+    details = _.pickBy(details);
+    this.runningSummaries.push(running);
+
+    return promise
+      .then((result) => {
+        return Object.assign({
+          contentType: type,
+          status: 'fulfilled',
+          result
+        }, details);
+      })
+      .catch((error) => {
+        error = this.toSyncError(error, Object.assign({
+          contentType: type,
+          entryId: this.entryId
+        }, details));
+
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+
+        return Object.assign({
+          contentType: type,
+          status: 'rejected',
+          error
+        }, details);
+      })
+      .then((status) => {
+        _.pull(this.runningSummaries, running);
+
+        Object.assign(summary, {
+          status: status.status,
+          duration: Date.now() - startedAt
+        });
+
+        if (status.error) {
+          summary.error = status.error.message;
+        }
+
+        status.summary = summary;
+        this.emit('typeFinished', summary);
+
+        return status;
+      });
+  }
+
+  /**
+   * Count the changes of a diff event in the summaries of all content types
+   * being synced to its index
+   * @param  {Object} diff Diff event
+   * @return {void}
+   */
+  addDiff (diff) {
+    this.runningSummaries.forEach((running) => {
+      if (_.includes(running.indexNames, diff.indexName)) {
+        SyncSummary.addDiff(running.summary, diff);
+      }
+    });
+  }
+
+  /**
+   * Combine the settled results of all content types or throw the first error
+   * @param  {Array}       summary         Status of each content type
+   * @param  {Algolia}     algoliaInstance Index which has been synced
+   * @param  {SyncSummary} syncSummary     Summary of the run, which gets the
+   *                                       summary of each content type and
+   *                                       is set on errors
+   * @return {Mixed}                       Results or a DiffReport in dry-run
+   *                                       mode
+   */
+  getSettledResult (summary, algoliaInstance, syncSummary = null) {
+    this.results = summary;
+
+    if (syncSummary) {
+      this.summary = syncSummary.addResults(summary);
+    }
+
+    const errors = _.map(_.filter(summary, {
+      status: 'rejected'
+    }), 'error');
+
+    if (errors.length > 0) {
+      const error = errors[0];
+
+      error.results = summary;
+      error.errors = errors;
+
+      if (syncSummary) {
+        error.summary = syncSummary;
+      }
+
+      throw error;
+    }
+
+    return this.getResult(_.map(summary, 'result'), algoliaInstance);
+  }
+
+  /**
+   * Turn any error into a SyncError, which holds the content type and entry
+   * @param  {Mixed}     error   Error of Contentful, Algolia or the sync
+   * @param  {Object}    details Details like `contentType` and `entryId`,
+   *                             which are set unless the error has them
+   * @return {SyncError}
+   */
+  toSyncError (error, details = {}) {
+    if (!(error instanceof SyncError)) {
+      const ErrorClass = error && error.sys ? ContentfulFetchError : SyncError;
+
+      error = new ErrorClass(getMessage(error), {
+        cause: error
+      });
+    }
+
+    _.each(details, (value, key) => {
+      if (value && !error[key]) {
+        error[key] = value;
+      }
     });
 
-    return Promise.all(promises);
+    return error;
+  }
+
+  /**
+   * Apply the configured index settings, synonyms and rules to an index
+   * @param  {String}  indexName Algolia index
+   * @return {Promise}           Resolves with the diff of each index
+   */
+  syncSettings (indexName) {
+    return this.getAlgoliaInstance(indexName).syncSettings();
+  }
+
+  /**
+   * Apply index settings before syncing content if `applySettingsOnSync` is
+   * configured
+   * @param  {Algolia} algoliaInstance Index to sync
+   * @return {Promise}
+   */
+  applySettingsOnSync (algoliaInstance) {
+    if (!this.targetConfig.applySettingsOnSync) {
+      return Promise.resolve();
+    }
+
+    return algoliaInstance.syncSettings();
+  }
+
+  /**
+   * Combine the results of all content types
+   * @param  {Array}   results         Results of all content types
+   * @param  {Algolia} algoliaInstance Index which has been synced
+   * @return {Mixed}                   Merged DiffReport in dry-run mode
+   */
+  getResult (results, algoliaInstance) {
+    if (algoliaInstance.dryRun) {
+      return DiffReport.merge(results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Replace all objects of an index with the entries of the given content
+   * types of all sources without downtime. Objects of other content types
+   * are removed.
+   * @param  {Array}    contentTypes     Contentful content types to sync
+   * @param  {String}   indexName        Algolia index
+   * @param  {Function} callback         Callback, which is fired when each
+   *                                     entry is loaded
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @param  {String}   indexPrefix      Prefix to use instead of the
+   *                                     configured one
+   * @return {Promise}                   Resolves with a DiffReport in
+   *                                     dry-run mode
+   */
+  reindex (contentTypes, indexName, callback, manipulateSingle = false, indexPrefix = undefined) {
+
+    // Convert to array
+    if (contentTypes.constructor !== Array) {
+      contentTypes = [contentTypes];
+    }
+
+    this.indexName = indexName;
+    this.callback = callback;
+    this.entryId = false;
+    this.manipulateSingle = manipulateSingle;
+
+    const algoliaInstance = this.getAlgoliaInstance(this.indexName, indexPrefix);
+
+    return this.applySettingsOnSync(algoliaInstance)
+      .then(() => {
+        return Promise.all(_.flatMap(contentTypes, (type) => {
+          const sources = this.getTypeSources(type);
+
+          if (sources.length === 0) {
+            throw getMissingSourceError(type);
+          }
+
+          return sources.map((source) => source.contentful.getEntries(type, false, this.manipulateSingle));
+        }));
+      })
+      .then((contentByType) => {
+        const content = _.flatMap(contentByType, (content) => {
+          return this.applyCallback(this.splitter.split(content));
+        });
+
+        return algoliaInstance.reindex(content);
+      })
+      .then((result) => {
+        this.log(algoliaInstance, `Reindexed types: ${contentTypes.join(', ')}`);
+
+        return result;
+      })
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Look up the environment the configured Contentful environment points to
+   * and its index prefix in `environmentPrefixes`
+   * @return {Promise} Resolves with `alias`, the configured environment,
+   *                   `environment`, the one it points to, and `indexPrefix`
+   */
+  resolveEnvironment () {
+    if (this.sources.length > 1) {
+      return Promise.reject(new ConfigError('Environment prefixes require a single Contentful source'));
+    }
+
+    const alias = this.sources[0].environment;
+
+    return this.contentful.getAliasedEnvironment()
+      .then((environment) => {
+        return {
+          alias,
+          environment,
+          indexPrefix: this.getEnvironmentPrefix(environment)
+        };
+      });
+  }
+
+  /**
+   * Get the index prefix of an environment. Prefixes of `environmentPrefixes`
+   * may contain `{environment}`, the prefix of `*` is used for environments
+   * without one.
+   * @param  {String} environment Environment id
+   * @return {String}             Index prefix
+   */
+  getEnvironmentPrefix (environment) {
+    const prefixes = this.environmentPrefixes;
+    const prefix = _.has(prefixes, environment) ? prefixes[environment] : prefixes['*'];
+
+    if (!_.isString(prefix)) {
+      throw new ConfigError(`No index prefix configured for environment "${environment}" in environmentPrefixes`);
+    }
+
+    return prefix.replace(/\{environment\}/g, environment);
+  }
+
+  /**
+   * Reindex into the prefix of the environment the configured Contentful
+   * environment points to, e.g. `release_articles` while `master` is an alias
+   * of `release`
+   * @param  {Array}    contentTypes     Contentful content types to sync
+   * @param  {String}   indexName        Algolia index without prefix
+   * @param  {Function} callback         Callback, which is fired when each
+   *                                     entry is loaded
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @return {Promise}                   Resolves with a DiffReport in
+   *                                     dry-run mode
+   */
+  reindexEnvironment (contentTypes, indexName, callback, manipulateSingle = false) {
+    return this.resolveEnvironment()
+      .then((resolved) => {
+        this.logger.info(`Environment ${resolved.alias} points to ${resolved.environment}, ` +
+          `reindexing into prefix "${resolved.indexPrefix}"`, resolved);
+
+        return this.reindex(contentTypes, indexName, callback, manipulateSingle, resolved.indexPrefix);
+      })
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Replace an index with the objects, settings, synonyms and rules of the
+   * same index of another prefix, e.g. to promote staging to production
+   * @param  {String}  indexName  Algolia index without prefix
+   * @param  {String}  fromPrefix Prefix of the index to promote
+   * @param  {String}  toPrefix   Prefix of the index to replace, defaults to
+   *                              the configured one
+   * @return {Promise}            Resolves with the number of promoted objects
+   *                              or with a DiffReport in dry-run mode
+   */
+  promote (indexName, fromPrefix, toPrefix = this.targetConfig.indexPrefix || '') {
+    if (!_.isString(fromPrefix) || fromPrefix === toPrefix) {
+      return Promise.reject(new ConfigError('Promoting requires a prefix to promote from, which differs from the target'));
+    }
+
+    const source = this.getAlgoliaInstance(indexName, fromPrefix);
+    const target = this.getAlgoliaInstance(indexName, toPrefix);
+
+    return source.promoteTo(target)
+      .then((result) => {
+        this.log(target, `Promoted ${source.indexName} to ${target.indexName}`);
+
+        return result;
+      })
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Remove all locales of an entry from an index and from the preview index
+   * if there is one. Entries linking to it are synced afterwards if
+   * `reverseLinks` is configured.
+   * @param  {String}   entryId          Id of the entry
+   * @param  {String}   indexName        Algolia index
+   * @param  {Function} manipulateSingle Manipulate each linking entry
+   * @param  {String}   source           Only remove the entry of the source
+   *                                     with this name
+   * @return {Promise}
+   */
+  removeEntry (entryId, indexName, manipulateSingle = false, source = undefined) {
+    const algoliaInstance = this.getAlgoliaInstance(indexName);
+    let sources = [];
+
+    return Promise.resolve()
+      .then(() => {
+        sources = this.findSources(source);
+
+        const previewInstance = this.getPreviewInstance(indexName);
+        const removed = algoliaInstance.removeEntries([entryId], undefined, source);
+
+        if (!previewInstance) {
+          return removed;
+        }
+
+        // Deleted and archived entries are gone from the preview as well
+        return Promise.all([removed, previewInstance.removeEntries([entryId], undefined, source)])
+          .then((results) => this.getResult(results, algoliaInstance));
+      })
+      .then((result) => {
+        this.log(algoliaInstance, `Removed entry: ${entryId}`);
+
+        if (this.reverseLinks.depth === 0) {
+          return result;
+        }
+
+        return this.settleDependents(entryId, indexName, null, manipulateSingle, this.reverseLinks.depth, sources)
+          .then((dependents) => {
+            const summary = [{
+              contentType: null,
+              status: 'fulfilled',
+              result
+            }];
+
+            return this.getSettledResult(summary.concat(dependents), algoliaInstance);
+          });
+      })
+      .catch((error) => {
+        throw this.toSyncError(error, {
+          entryId
+        });
+      });
+  }
+
+  /**
+   * Rewrite an existing index to the deterministic objectIDs configured with
+   * `objectIds`, without fetching entries from Contentful
+   * @param  {String}  indexName Algolia index
+   * @return {Promise}           Resolves with a DiffReport in dry-run mode
+   */
+  migrateObjectIds (indexName) {
+    const algoliaInstance = this.getAlgoliaInstance(indexName);
+
+    return algoliaInstance.migrateObjectIds()
+      .then((result) => {
+        this.log(algoliaInstance, `Migrated objectIDs of index: ${indexName}`);
+
+        return result;
+      })
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Find objects of an index and its preview index which no sync updates or
+   * deletes anymore: objects without content type, of content types which are
+   * not synced anymore and of sources which are not configured or do not
+   * provide their content type. They are only reported unless `remove` is
+   * set. Deleting is aborted if more than `maxPercent` of an index would be
+   * deleted.
+   * @param  {Array}   contentTypes       All content types synced to the
+   *                                      index, by default the
+   *                                      `contentTypes` of all sources
+   * @param  {String}  indexName          Algolia index
+   * @param  {Object}  options            Options
+   * @param  {Boolean} options.remove     Delete the orphans
+   * @param  {Number}  options.maxPercent Share of the objects of an index,
+   *                                      which may be deleted (default: 10)
+   * @return {Promise}                    Resolves with a DiffReport of the
+   *                                      orphans
+   */
+  prune (contentTypes, indexName, options = {}) {
+    if (_.isEmpty(contentTypes) && _.some(this.sources, (source) => !source.contentTypes)) {
+      return Promise.reject(new ConfigError('Pruning requires the content types of the index, ' +
+        'unless each source has `contentTypes`'));
+    }
+
+    const types = !_.isEmpty(contentTypes) ? _.castArray(contentTypes) : _.uniq(_.flatMap(this.sources, 'contentTypes'));
+    const instances = _.compact([this.getAlgoliaInstance(indexName), this.getPreviewInstance(indexName)]);
+    const isOrphan = (hit) => {
+      const source = _.find(this.sources, (item) => item.name === hit.source);
+
+      return !hit.contentType || !_.includes(types, hit.contentType) ||
+        !source || this.getTypeSources(hit.contentType, [source]).length === 0;
+    };
+
+    return Promise.all(instances.map((algoliaInstance) => {
+      return algoliaInstance.prune(isOrphan, options)
+        .then((report) => {
+          if (options.remove) {
+            this.log(algoliaInstance, `Pruned ${report.deleted.length} orphans of index: ${algoliaInstance.indexName}`);
+          }
+
+          return report;
+        });
+    }))
+      .then(DiffReport.merge)
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Write the localized entries of the given content types of all sources to
+   * an NDJSON snapshot, one file per content type and locale. Nothing is
+   * written to the index.
+   * @param  {Array}    contentTypes     Contentful content types to export
+   * @param  {String}   directory        Directory of the snapshot
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @return {Promise}                   Resolves with the written files, each
+   *                                     with `contentType`, `locale`, `path`
+   *                                     and `count`
+   */
+  exportSnapshot (contentTypes, directory, manipulateSingle = false) {
+
+    // Convert to array
+    if (contentTypes.constructor !== Array) {
+      contentTypes = [contentTypes];
+    }
+
+    const snapshot = new Snapshot(directory);
+
+    return Promise.all(contentTypes.map((type) => {
+      const sources = this.getTypeSources(type);
+
+      if (sources.length === 0) {
+        return Promise.reject(getMissingSourceError(type));
+      }
+
+      return Promise.all(sources.map((source) => source.contentful.getEntries(type, false, manipulateSingle)))
+        .then((content) => snapshot.write(type, _.flatten(content)))
+        .then((files) => {
+          this.logger.info(`Exported type: ${type}`, {
+            contentType: type
+          });
+
+          return files;
+        });
+    }))
+      .then((files) => _.flatten(files))
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Sync the entries of an NDJSON snapshot written by `exportSnapshot` to an
+   * index, without fetching them from Contentful. Like `sync`, objects of
+   * each content type are created, updated and deleted to match the
+   * snapshot, a failing type does not stop the others.
+   * @param  {String}   directory    Directory of the snapshot
+   * @param  {String}   indexName    Algolia index
+   * @param  {Array}    contentTypes Content types to import, all types of the
+   *                                 snapshot if not given
+   * @param  {Function} callback     Callback, which is fired with the records
+   *                                 of each type
+   * @return {Promise}               Resolves with a SyncSummary, or with a
+   *                                 DiffReport of all types in dry-run mode
+   */
+  importSnapshot (directory, indexName, contentTypes = undefined, callback = undefined) {
+    const snapshot = new Snapshot(directory);
+
+    this.indexName = indexName;
+    this.callback = callback;
+    this.entryId = false;
+
+    const algoliaInstance = this.getAlgoliaInstance(this.indexName);
+    const syncSummary = new SyncSummary();
+
+    return this.applySettingsOnSync(algoliaInstance)
+      .then(() => contentTypes ? _.castArray(contentTypes) : snapshot.getContentTypes())
+      .then((types) => {
+        if (types.length === 0) {
+          throw new SyncError(`No snapshot in ${snapshot.directory}`);
+        }
+
+        return Promise.all(types.map((type) => {
+          return this.settle(type, snapshot.read(type).then((content) => {
+            return this.singleCallback(type, content, algoliaInstance);
+          }), {}, algoliaInstance);
+        }));
+      })
+      .then((summary) => this.getSettledResult(summary, algoliaInstance, syncSummary))
+      .then((result) => algoliaInstance.dryRun ? result : syncSummary)
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Sync only entries that changed since the last run by using Contentful's
+   * Synchronization API. The first run indexes all entries of the given
+   * content types and removes stale objects like `sync` does. Sources are
+   * synced one after another, each with its own token.
+   * @param  {Array}    contentTypes     Contentful content types to sync
+   * @param  {String}   indexName        Algolia index
+   * @param  {Function} callback         Callback, which is fired when each
+   *                                     entry is loaded
+   * @param  {Function} manipulateSingle Manipulate each entry
+   * @return {Promise}                   Resolves with the next sync token,
+   *                                     an object of tokens by source name
+   *                                     with several sources, or with a
+   *                                     DiffReport in dry-run mode, which
+   *                                     does not store the tokens
+   */
+  syncIncremental (contentTypes, indexName, callback, manipulateSingle = false) {
+
+    // Convert to array
+    if (contentTypes.constructor !== Array) {
+      contentTypes = [contentTypes];
+    }
+
+    this.indexName = indexName;
+    this.callback = callback;
+    this.entryId = false;
+    this.manipulateSingle = manipulateSingle;
+
+    const algoliaInstance = this.getAlgoliaInstance(this.indexName);
+
+    return this.applySettingsOnSync(algoliaInstance)
+      .then(() => {
+        // One after another, as the token store is read and written each time
+        return this.sources.reduce((promise, source) => {
+          return promise.then((results) => {
+            return this.syncSourceIncremental(contentTypes, algoliaInstance, source)
+              .then((result) => results.concat([result]));
+          });
+        }, Promise.resolve([]));
+      })
+      .then((results) => {
+        if (algoliaInstance.dryRun) {
+          return this.getResult(_.flatten(results), algoliaInstance);
+        }
+
+        if (this.sources[0].name === undefined) {
+          return results[0];
+        }
+
+        return _.zipObject(_.map(this.sources, 'name'), results);
+      })
+      .catch((error) => {
+        throw this.toSyncError(error);
+      });
+  }
+
+  /**
+   * Sync the changes of one source since its last run
+   * @param  {Array}   contentTypes    Contentful content types to sync, only
+   *                                   the ones provided by the source are
+   *                                   synced
+   * @param  {Algolia} algoliaInstance Index to write to
+   * @param  {Object}  source          Source to sync
+   * @return {Promise}                 Resolves with the next sync token or
+   *                                   with the results in dry-run mode
+   */
+  syncSourceIncremental (contentTypes, algoliaInstance, source) {
+    const types = contentTypes.filter((type) => this.getTypeSources(type, [source]).length > 0);
+    const tokenKey = _.compact([algoliaInstance.indexName, source.name, types.slice().sort().join(',')]).join(':');
+
+    if (types.length === 0) {
+      return Promise.resolve(algoliaInstance.dryRun ? [] : null);
+    }
+
+    return this.tokenStore.get(tokenKey)
+      .then((syncToken) => {
+        return source.contentful.getSyncChanges(syncToken)
+          .then((changes) => {
+            return this.indexChanges(types, changes, !syncToken, algoliaInstance, source)
+              .then((results) => {
+                if (algoliaInstance.dryRun) {
+                  return results;
+                }
+
+                return this.tokenStore.set(tokenKey, changes.nextSyncToken);
+              });
+          });
+      })
+      .catch((error) => {
+        throw this.toSyncError(error, {
+          source: source.name
+        });
+      });
+  }
+
+  /**
+   * Index the changes returned by Contentful's Synchronization API. Links are
+   * only resolved among the items of a response, so changed entries are
+   * fetched again after the initial run.
+   * @param  {Array}   contentTypes    Contentful content types to sync
+   * @param  {Object}  changes         Changed entries and ids of deleted ones
+   * @param  {Boolean} isInitial       Is it the first run for these types
+   * @param  {Algolia} algoliaInstance Index to write to
+   * @param  {Object}  source          Source the changes are from
+   * @return {Promise}                 Resolves with the results of all writes
+   */
+  indexChanges (contentTypes, changes, isInitial, algoliaInstance, source = this.sources[0]) {
+    const contentful = source.contentful;
+    const from = source.name ? ` from ${source.name}` : '';
+    const entriesByType = _.groupBy(changes.entries, (entry) => {
+      return contentful.getContentType(entry);
+    });
+    const localize = (entries) => {
+      return this.applyCallback(this.splitter.split(
+        contentful.localizeEntries(entries, this.manipulateSingle)
+      ));
+    };
+
+    if (isInitial) {
+      const promises = contentTypes.map((type) => {
+        return algoliaInstance.indexData(localize(entriesByType[type] || []), type, false, source.name)
+          .then((result) => {
+            this.log(algoliaInstance, `Indexed type: ${type}${from}`, {
+              contentType: type,
+              source: source.name
+            });
+
+            return result;
+          });
+      });
+
+      return Promise.all(promises);
+    }
+
+    const changedIds = _.map(_.flatMap(contentTypes, (type) => entriesByType[type] || []), 'sys.id');
+    const promises = contentTypes.map((type) => {
+      const ids = _.map(entriesByType[type], 'sys.id');
+
+      if (ids.length === 0) {
+        return Promise.resolve([]);
+      }
+
+      return contentful.fetchEntries(type, ids).then(localize);
+    });
+
+    return Promise.all(promises)
+      .then((contentByType) => {
+        const content = _.flatten(contentByType);
+
+        // Changed entries without records are filtered or unpublished now and
+        // have to be removed
+        const deletedIds = changes.deletedIds.concat(_.difference(changedIds, _.map(content, 'id')));
+
+        return algoliaInstance.indexChanges(content, deletedIds, source.name);
+      })
+      .then((result) => {
+        this.log(algoliaInstance, `Indexed changes of types: ${contentTypes.join(', ')}${from}`);
+
+        return [result];
+      });
   }
 }
 
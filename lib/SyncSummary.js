@@ -0,0 +1,116 @@
+/**
+ * Summary of a sync with the changes of each content type and locale
+ */
+const _ = require('lodash');
+const COUNTS = ['created', 'updated', 'deleted', 'skipped'];
+
+/**
+ * Create counts of zero
+ * @return {Object} Created, updated, deleted and skipped records
+ */
+const getEmptyCounts = () => _.zipObject(COUNTS, COUNTS.map(() => 0));
+
+/**
+ * Add counts to others
+ * @param  {Object} target Counts to add to
+ * @param  {Object} counts Counts to add
+ * @return {Object}        The target
+ */
+const addCounts = (target, counts) => {
+  COUNTS.forEach((key) => {
+    target[key] += counts[key] || 0;
+  });
+
+  return target;
+};
+
+/**
+ * SyncSummary Class
+ *
+ * Holds the summary of each content type of a sync. Skipped records were up
+ * to date already.
+ */
+class SyncSummary {
+
+  /**
+   * Create the summary of a content type
+   * @param  {Object} details Details like `contentType`, `source` and
+   *                          `indexName`
+   * @return {Object}         Summary without changes
+   */
+  static createType (details) {
+    return Object.assign(_.pickBy(details), {
+      status: null,
+      duration: null
+    }, getEmptyCounts(), {
+      locales: {}
+    });
+  }
+
+  /**
+   * Add the changes of a diff event to the summary of a content type. Only
+   * changes of its content type and source are counted.
+   * @param  {Object} type Summary of the content type
+   * @param  {Object} diff Diff event with `rows` of counts by content type,
+   *                       source and locale
+   * @return {void}
+   */
+  static addDiff (type, diff) {
+    diff.rows.forEach((row) => {
+      if (row.contentType !== type.contentType || row.source !== type.source) {
+        return;
+      }
+
+      type.locales[row.locale] = addCounts(type.locales[row.locale] || getEmptyCounts(), row);
+      addCounts(type, row);
+    });
+  }
+
+  /**
+   * Constructor, starts measuring the duration
+   * @return {void}
+   */
+  constructor () {
+    this.startedAt = Date.now();
+    this.duration = null;
+    this.types = [];
+  }
+
+  /**
+   * Add the summaries of settled content types and stop measuring
+   * @param  {Array}       results Status of each content type
+   * @return {SyncSummary}
+   */
+  addResults (results) {
+    this.types = this.types.concat(_.compact(_.map(results, 'summary')));
+    this.duration = Date.now() - this.startedAt;
+
+    return this;
+  }
+
+  /**
+   * Get the counts of all content types
+   * @return {Object} Created, updated, deleted and skipped records
+   */
+  getTotals () {
+    return this.types.reduce((totals, type) => addCounts(totals, type), getEmptyCounts());
+  }
+
+  /**
+   * Get a plain object for JSON output
+   * @return {Object}
+   */
+  toJSON () {
+    return Object.assign({
+      duration: this.duration
+    }, this.getTotals(), {
+      types: this.types
+    });
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = SyncSummary;
@@ -0,0 +1,290 @@
+/**
+ * Receive Contentful webhooks and update an Algolia index accordingly
+ */
+const crypto = require('crypto');
+const { ConfigError } = require('./Errors');
+const { ASSET_CONTENT_TYPE } = require('./LinkResolver');
+
+const ACTIONS = {
+  publish: 'sync',
+  save: 'preview',
+  auto_save: 'preview',
+  unpublish: 'remove',
+  archive: 'remove',
+  delete: 'remove'
+};
+
+/**
+ * Webhook Class
+ */
+class Webhook {
+
+  /**
+   * Constructor
+   * @param  {Sync}   sync                     Sync instance to use
+   * @param  {Object} options                  Options
+   * @param  {String} options.indexName        Algolia index to update
+   * @param  {String} options.secret           Shared secret, sent by Contentful
+   *                                           as custom header
+   * @param  {String} options.secretHeader     Name of the header holding the
+   *                                           secret
+   * @param  {Boolean} options.unauthenticated Accept requests without a
+   *                                           secret, e.g. behind a proxy
+   *                                           which authenticates them
+   * @param  {Array}  options.contentTypes     Only handle these content
+   *                                           types, assets only if `Asset`
+   *                                           is listed
+   * @param  {Boolean} options.preview         Also sync on `Entry.save`, use
+   *                                           with the Preview API. Always on
+   *                                           with a preview index.
+   * @param  {Function} options.manipulateSingle Manipulate each entry
+   * @return {void}
+   */
+  constructor (sync, options = {}) {
+    if (!options.indexName) {
+      throw new ConfigError('Webhook: `indexName` is required');
+    }
+
+    if (!options.secret && !options.unauthenticated) {
+      throw new ConfigError('Webhook: `secret` is required, set `unauthenticated: true` to accept any request');
+    }
+
+    this.sync = sync;
+    this.options = Object.assign({
+      secretHeader: 'x-webhook-secret',
+      unauthenticated: false,
+      contentTypes: null,
+      preview: false,
+      manipulateSingle: false
+    }, options);
+
+    // Syncs share state on the Sync instance, so run them one after another
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get a request handler usable with `http.createServer` or as middleware
+   * @return {Function} Handler with the signature `(req, res, next)`
+   */
+  middleware () {
+    return (req, res, next) => this.handle(req, res, next);
+  }
+
+  /**
+   * Handle a webhook request
+   * @param  {Object}   req  Incoming request
+   * @param  {Object}   res  Response
+   * @param  {Function} next Optional callback, called with errors
+   * @return {Promise}
+   */
+  handle (req, res, next) {
+    if (req.method !== 'POST') {
+      return Promise.resolve(this.respond(res, 405, {
+        error: 'Method not allowed'
+      }));
+    }
+
+    if (!this.isAuthorized(req)) {
+      return Promise.resolve(this.respond(res, 401, {
+        error: 'Unauthorized'
+      }));
+    }
+
+    return this.getBody(req)
+      .then((payload) => {
+        const event = this.parseEvent(req.headers['x-contentful-topic'], payload);
+
+        if (!event.action) {
+          return this.respond(res, 200, Object.assign({
+            ignored: true
+          }, event));
+        }
+
+        return this.enqueue(event)
+          .then(() => this.respond(res, 200, event));
+      })
+      .catch((error) => {
+        if (next) {
+          return next(error);
+        }
+
+        this.sync.logger.error(error.stack || String(error), {
+          error: error.message
+        });
+
+        return this.respond(res, error.statusCode || 500, {
+          error: error.message
+        });
+      });
+  }
+
+  /**
+   * Check the shared secret of a request, all requests are authorized with
+   * `unauthenticated` and no secret
+   * @param  {Object}  req Incoming request
+   * @return {Boolean}
+   */
+  isAuthorized (req) {
+    if (!this.options.secret) {
+      return true;
+    }
+
+    const secret = Buffer.from(String(this.options.secret));
+    const provided = Buffer.from(String(req.headers[this.options.secretHeader.toLowerCase()] || ''));
+
+    return secret.length === provided.length && crypto.timingSafeEqual(secret, provided);
+  }
+
+  /**
+   * Get the parsed body of a request. Uses `req.body` if it has been read by
+   * another middleware already.
+   * @param  {Object}  req Incoming request
+   * @return {Promise}     Resolves with the payload
+   */
+  getBody (req) {
+    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+      return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(body || '{}'));
+        } catch (error) {
+          error.statusCode = 400;
+          reject(error);
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Map a webhook topic and payload to an event
+   * @param  {String} topic   Value of the `X-Contentful-Topic` header, e.g.
+   *                          `ContentManagement.Entry.publish`
+   * @param  {Object} payload Body of the webhook
+   * @return {Object}         Event with action, entry id, content type and
+   *                          the name of the source with several sources
+   */
+  parseEvent (topic = '', payload = {}) {
+    const parts = topic.split('.');
+    const sys = payload.sys || {};
+    const event = {
+      topic,
+      action: null,
+      entryId: sys.id,
+      contentType: sys.contentType ? sys.contentType.sys.id : null
+    };
+    let action = ACTIONS[parts[2]];
+    const source = this.sync.findSource(
+      sys.space && sys.space.sys.id,
+      sys.environment ? sys.environment.sys.id : undefined
+    );
+
+    if (parts[1] === 'Asset') {
+      event.contentType = ASSET_CONTENT_TYPE;
+    }
+
+    // Events of spaces and environments which are not synced are ignored
+    if (!source) {
+      return event;
+    }
+
+    event.source = source.name;
+
+    if ((parts[1] !== 'Entry' && parts[1] !== 'Asset') || !action || !event.entryId) {
+      return event;
+    }
+
+    if (action === 'preview') {
+      if (!this.options.preview && !this.sync.hasPreview()) {
+        return event;
+      }
+
+      action = 'sync';
+    }
+
+    // Unpublished entries stay in the preview index as drafts
+    if (parts[2] === 'unpublish' && this.sync.hasPreview() && event.contentType) {
+      action = 'sync';
+    }
+
+    if (this.options.contentTypes && event.contentType &&
+      this.options.contentTypes.indexOf(event.contentType) === -1) {
+      return event;
+    }
+
+    // Indices syncing entries only do not get asset records
+    if (parts[1] === 'Asset' && !this.options.contentTypes) {
+      return event;
+    }
+
+    if (action === 'sync' && !event.contentType) {
+      return event;
+    }
+
+    event.action = action;
+
+    return event;
+  }
+
+  /**
+   * Run the sync for an event after all previous ones are done
+   * @param  {Object}  event Event to process
+   * @return {Promise}
+   */
+  enqueue (event) {
+    const run = () => {
+      if (event.action === 'remove') {
+        return this.sync.removeEntry(
+          event.entryId,
+          this.options.indexName,
+          this.options.manipulateSingle,
+          event.source
+        );
+      }
+
+      return this.sync.sync(
+        event.contentType,
+        this.options.indexName,
+        null,
+        event.entryId,
+        this.options.manipulateSingle,
+        event.source
+      );
+    };
+
+    const promise = this.queue.then(run);
+
+    this.queue = promise.catch(() => {});
+
+    return promise;
+  }
+
+  /**
+   * Send a JSON response
+   * @param  {Object} res        Response
+   * @param  {Number} statusCode HTTP status code
+   * @param  {Object} body       Body to send
+   * @return {void}
+   */
+  respond (res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  }
+}
+
+/**
+ * Exports
+ * @type {Class}
+ */
+module.exports = Webhook;
@@ -0,0 +1,163 @@
+/**
+ * Tests of resolving linked entries with the fixtures in `fixtures`, which are
+ * responses of the Content Delivery API with `locale=*`
+ */
+const assert = require('assert');
+const resolveResponse = require('contentful-resolve-response');
+const LinkResolver = require('../lib/LinkResolver');
+const LOCALE = ['en-US'];
+
+/**
+ * Load a fixture and resolve its links like the Contentful client does, links
+ * back to an entry become circular references
+ * @param  {String} name Name of the fixture
+ * @return {Array}       Resolved items
+ */
+const load = (name) => resolveResponse(JSON.parse(JSON.stringify(require(`./fixtures/${name}.json`))));
+
+describe('LinkResolver', () => {
+  describe('localize', () => {
+    it('replaces a link of an entry to itself by a stub', () => {
+      const [page] = load('self-link');
+
+      assert.strictEqual(page.fields.parent['en-US'], page);
+      assert.deepStrictEqual(new LinkResolver().localize(page, LOCALE), {
+        id: 'page',
+        title: 'Home',
+        parent: {
+          id: 'page',
+          contentType: 'page'
+        },
+        contentType: 'page',
+        locale: 'en-US'
+      });
+    });
+
+    it('replaces the link closing a cycle by a stub', () => {
+      const [author] = load('cycle');
+
+      assert.deepStrictEqual(new LinkResolver().localize(author, LOCALE), {
+        id: 'ada',
+        name: 'Ada',
+        latest: {
+          id: 'engines',
+          contentType: 'article',
+          title: 'Engines',
+          author: {
+            id: 'ada',
+            contentType: 'author'
+          }
+        },
+        contentType: 'author',
+        locale: 'en-US'
+      });
+    });
+
+    it('resolves the other entry of a cycle the same way', () => {
+      const article = load('cycle')[0].fields.latest['en-US'];
+
+      assert.deepStrictEqual(new LinkResolver().localize(article, LOCALE), {
+        id: 'engines',
+        title: 'Engines',
+        author: {
+          id: 'ada',
+          contentType: 'author',
+          name: 'Ada',
+          latest: {
+            id: 'engines',
+            contentType: 'article'
+          }
+        },
+        contentType: 'article',
+        locale: 'en-US'
+      });
+    });
+
+    it('replaces links beyond the include depth by stubs', () => {
+      const [post] = load('depth');
+
+      assert.deepStrictEqual(new LinkResolver({
+        include: 1
+      }).localize(post, LOCALE).author, {
+        id: 'ada',
+        contentType: 'author',
+        name: 'Ada',
+        category: {
+          id: 'math',
+          contentType: 'category'
+        }
+      });
+    });
+
+    it('resolves links up to the include depth', () => {
+      const [post] = load('depth');
+
+      assert.deepStrictEqual(new LinkResolver({
+        include: 2
+      }).localize(post, LOCALE).author.category, {
+        id: 'math',
+        contentType: 'category',
+        name: 'Math',
+        parent: {
+          id: 'science',
+          contentType: 'category'
+        }
+      });
+    });
+
+    it('uses the include depth of the content type of the entry', () => {
+      const [post] = load('depth');
+
+      assert.deepStrictEqual(new LinkResolver({
+        include: 2,
+        includeByContentType: {
+          article: 0
+        }
+      }).localize(post, LOCALE).author, {
+        id: 'ada',
+        contentType: 'author'
+      });
+    });
+
+    it('resolves single links and arrays of links', () => {
+      const record = new LinkResolver().localize(load('links')[0], LOCALE);
+
+      assert.deepStrictEqual(record.author, {
+        id: 'ada',
+        contentType: 'author',
+        name: 'Ada'
+      });
+      assert.deepStrictEqual(record.tags, [
+        {
+          id: 'js',
+          contentType: 'tag',
+          name: 'JavaScript'
+        },
+        {
+          id: 'node',
+          contentType: 'tag',
+          name: 'Node.js'
+        },
+        {
+          id: 'missing'
+        }
+      ]);
+    });
+
+    it('resolves linked assets to compact assets', () => {
+      const record = new LinkResolver({
+        compactAssets: true,
+        assetImageParams: {
+          w: 40
+        }
+      }).localize(load('links')[0], LOCALE);
+
+      assert.deepStrictEqual(record.image, {
+        url: 'https://images.ctfassets.net/logo.png?w=40',
+        title: 'Logo',
+        width: 20,
+        height: 10
+      });
+    });
+  });
+});